@@ -0,0 +1,4766 @@
+// BullShark P2E API. createApp() builds the Express app; its Solana connection, storage,
+// authority keypair, clock and config can all be injected so the claim and tournament flows
+// run against a local validator or stubs. server.js is the production entry point.
+const express = require('express');
+const cors = require('cors');
+const { Connection, Keypair, PublicKey, Transaction, SystemProgram, ComputeBudgetProgram, LAMPORTS_PER_SOL, SendTransactionError } = require('@solana/web3.js');
+const { 
+  getAssociatedTokenAddress, 
+  createAssociatedTokenAccountInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+  getMint,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getAccount,
+  TOKEN_PROGRAM_ID: SPL_TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiDocument, renderDocsPage } = require('./openapi');
+const { createMetricsRegistry } = require('./metrics');
+const { createLogger } = require('./logger');
+const { checkDisplayName } = require('./profile-names');
+
+// ===== STORAGE BACKENDS =====
+// Every backend implements the same path-based interface (paths look like 'players/<wallet>'):
+//   get(path) -> value or null
+//   set(path, value)            (null removes)
+//   list(path) -> { childKey: value } or null
+//   compareAndSet(path, expected, next) -> true if the value still equalled `expected` and was replaced
+
+// Key-order independent JSON, so compareAndSet can compare values read back from any backend
+function stableStringify(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function splitPath(storagePath) {
+  return String(storagePath).split('/').filter(Boolean);
+}
+
+// Shared tree helpers for the memory and file backends
+function treeGet(root, storagePath) {
+  let node = root;
+  for (const key of splitPath(storagePath)) {
+    if (node === null || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+  }
+  return node === undefined ? null : JSON.parse(JSON.stringify(node));
+}
+
+function treeSet(root, storagePath, value) {
+  const keys = splitPath(storagePath);
+  const last = keys.pop();
+  let node = root;
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  if (value === null || value === undefined) delete node[last];
+  else node[last] = JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryStorage(initial = {}) {
+  const root = JSON.parse(JSON.stringify(initial));
+  return {
+    name: 'memory',
+    persistent: false,
+    async get(storagePath) { return treeGet(root, storagePath); },
+    async set(storagePath, value) { treeSet(root, storagePath, value); },
+    async list(storagePath) { return treeGet(root, storagePath); },
+    async compareAndSet(storagePath, expected, next) {
+      if (stableStringify(treeGet(root, storagePath)) !== stableStringify(expected)) return false;
+      treeSet(root, storagePath, next);
+      return true;
+    }
+  };
+}
+
+// Whole database in one JSON file — for local development, not for production traffic
+function createFileStorage(filePath, logger = createLogger()) {
+  let root = {};
+  try {
+    root = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error('Could not read storage file', { file: filePath, error: err.message });
+  }
+
+  // Write to a temp file and rename so a crash mid-write can't corrupt the store
+  function flush() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(root));
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    name: 'file',
+    persistent: true,
+    async get(storagePath) { return treeGet(root, storagePath); },
+    async set(storagePath, value) { treeSet(root, storagePath, value); flush(); },
+    async list(storagePath) { return treeGet(root, storagePath); },
+    async compareAndSet(storagePath, expected, next) {
+      if (stableStringify(treeGet(root, storagePath)) !== stableStringify(expected)) return false;
+      treeSet(root, storagePath, next);
+      flush();
+      return true;
+    }
+  };
+}
+
+// Firebase Realtime Database over REST, everything under /p2e
+function createFirebaseStorage(dbUrl) {
+  const urlFor = (storagePath) => `${dbUrl}/p2e/${splitPath(storagePath).join('/')}.json`;
+
+  async function get(storagePath) {
+    const response = await fetch(urlFor(storagePath));
+    if (!response.ok) throw new Error(`GET ${storagePath}: ${response.status} ${response.statusText}`);
+    return response.json();
+  }
+
+  return {
+    name: 'firebase',
+    persistent: true,
+    get,
+    list: get,
+    async set(storagePath, value) {
+      const response = await fetch(urlFor(storagePath), {
+        method: value === null ? 'DELETE' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: value === null ? undefined : JSON.stringify(value)
+      });
+      if (!response.ok) throw new Error(`PUT ${storagePath}: ${response.status} ${response.statusText}`);
+    },
+    // Conditional write using Firebase ETags: the PUT fails with 412 if the value changed since we read it
+    async compareAndSet(storagePath, expected, next) {
+      const current = await fetch(urlFor(storagePath), { headers: { 'X-Firebase-ETag': 'true' } });
+      if (!current.ok) throw new Error(`GET ${storagePath}: ${current.status} ${current.statusText}`);
+      const etag = current.headers.get('etag');
+      if (stableStringify(await current.json()) !== stableStringify(expected)) return false;
+
+      const response = await fetch(urlFor(storagePath), {
+        method: next === null ? 'DELETE' : 'PUT',
+        headers: { 'Content-Type': 'application/json', 'if-match': etag },
+        body: next === null ? undefined : JSON.stringify(next)
+      });
+      if (response.status === 412) return false;
+      if (!response.ok) throw new Error(`PUT ${storagePath}: ${response.status} ${response.statusText}`);
+      return true;
+    }
+  };
+}
+
+// Build the API. Anything not injected is created from config, exactly as in production:
+//   connection  Solana Connection (default: failover pool over RPC_URLS)
+//   storage     backend with get/set/list/compareAndSet (default: STORAGE_BACKEND)
+//   authority   vault authority Keypair, or null to run without one (default: AUTHORITY_KEYPAIR)
+//   clock       { now() } in ms, used for every timestamp and deadline (default: Date.now)
+//   logger      structured logger from logger.js (default: JSON lines at LOG_LEVEL)
+//   config      env-style overrides (string values) layered over process.env
+// Building the app does no I/O and starts no timers: app.locals.p2e.start() loads storage and starts the
+// background jobs (the server entry point calls it). app.locals.p2e also exposes the resolved parts,
+// the scheduler and close().
+function createApp(options = {}) {
+  const config = { ...process.env, ...(options.config || {}) };
+  const clock = options.clock || { now: () => Date.now() };
+  const logger = options.logger || createLogger({ level: config.LOG_LEVEL, clock });
+  // Background jobs registered with runEvery(); start() schedules them and close() clears them
+  const backgroundJobs = [];
+  const timers = [];
+  function runEvery(intervalMs, run) {
+      backgroundJobs.push({ intervalMs, run });
+  }
+
+  const app = express();
+  // Behind a proxy (Render, Vercel, nginx) set TRUST_PROXY (e.g. 1) so req.ip is the client, not the proxy
+  if (config.TRUST_PROXY) {
+      app.set('trust proxy', /^\d+$/.test(config.TRUST_PROXY) ? parseInt(config.TRUST_PROXY) : config.TRUST_PROXY);
+  }
+
+  // Correlation ID: a well-formed incoming X-Request-Id is kept (a client can send the same one for every
+  // step of a claim), otherwise one is generated. It is echoed in the response and on every log line.
+  app.use((req, res, next) => {
+      const incoming = req.get('x-request-id');
+      req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+      req.log = logger.child({ requestId: req.id });
+      res.setHeader('X-Request-Id', req.id);
+      const startedAt = clock.now();
+      res.on('finish', () => {
+          const requestPath = req.originalUrl.split('?')[0];
+          const level = res.statusCode >= 500 ? 'error' : requestPath === '/health' || requestPath === '/metrics' ? 'debug' : 'info';
+          req.log[level]('Request handled', {
+              method: req.method, path: requestPath, status: res.statusCode, durationMs: clock.now() - startedAt, error: res.locals.errorCode
+          });
+      });
+      next();
+  });
+  app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+  // Keep the raw body: signed admin requests cover its hash
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+  // Configuration
+  const RPC_URL = config.RPC_URL || 'https://mainnet.helius-rpc.com/?api-key=64ae06e8-606e-4e6d-8c79-bb210ae08977';
+  // Comma-separated failover list, tried in order of preference (RPC_URL alone when unset)
+  const RPC_URLS = (config.RPC_URLS || RPC_URL).split(',').map(url => url.trim()).filter(Boolean);
+  const CHUM_MINT = config.CHUM_MINT || 'B9nLmgbkW9X59xvwne1Z7qfJ46AsAmNEydMiJrgxpump';
+  const MIN_HOLD_REQUIREMENT = parseInt(config.MIN_HOLD_REQUIREMENT || '25000');
+  const POINTS_PER_CHUM = 1000; // Updated: 1,000 pts = 1 $CHUM
+
+  // Admin credentials: ADMIN_CREDENTIALS is a JSON list of named admins, each with scopes and an HMAC
+  // `secret` and/or an admin `wallet`, e.g. [{"name":"ops","secret":"...","scopes":["tournament:write"]}].
+  // A legacy ADMIN_KEY becomes an HMAC credential named "admin" with every scope.
+  const ADMIN_SCOPES = ['read-only', 'tournament:write', 'players:write'];
+  const ADMIN_CREDENTIALS = loadAdminCredentials(config.ADMIN_CREDENTIALS, config.ADMIN_KEY);
+  const ADMIN_SIGNATURE_WINDOW_MS = parseInt(config.ADMIN_SIGNATURE_WINDOW_MS || '300000'); // allowed clock skew / replay window
+
+  // Wallet auth (Sign-In-With-Solana) — set SESSION_SECRET in production so tokens survive restarts
+  const SESSION_SECRET = config.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+  const AUTH_NONCE_TTL_MS = parseInt(config.AUTH_NONCE_TTL_MS || '300000');      // 5 min to sign
+  const AUTH_SESSION_TTL_MS = parseInt(config.AUTH_SESSION_TTL_MS || '3600000'); // 1 hour session
+
+  // Game sessions + score plausibility rules
+  const GAME_SESSION_TTL_MS = parseInt(config.GAME_SESSION_TTL_MS || '3600000');     // a run must be submitted within 1 hour
+  const SCORE_RULES = {
+    minGameDurationMs: parseInt(config.SCORE_MIN_GAME_MS || '5000'),             // shortest believable run
+    maxPointsPerSecond: parseFloat(config.SCORE_MAX_POINTS_PER_SEC || '500'),    // sustained scoring ceiling
+    maxScore: parseInt(config.SCORE_MAX_SCORE || '1000000')                      // absolute cap per run
+  };
+
+  // Tournament scheduler: how often to check for ended / due tournaments
+  const SCHEDULER_INTERVAL_MS = parseInt(config.SCHEDULER_INTERVAL_MS || '30000');
+
+  // Holding policy defaults — players must keep MIN_HOLD_REQUIREMENT for the whole tournament.
+  // Tournaments can override any field with `holdingPolicy` at start.
+  const DEFAULT_HOLDING_POLICY = {
+    action: config.HOLDING_POLICY_ACTION || 'disqualify',                    // disqualify | reduce
+    reducePercent: parseFloat(config.HOLDING_REDUCE_PERCENT || '50'),       // prize cut when action = reduce
+    verifyAtFinalization: config.HOLDING_VERIFY_AT_END !== 'false',
+    spotChecks: config.HOLDING_SPOT_CHECKS === 'true',                      // random re-checks while running
+    spotCheckMinMinutes: parseInt(config.HOLDING_SPOT_CHECK_MIN_MINUTES || '60'),
+    spotCheckMaxMinutes: parseInt(config.HOLDING_SPOT_CHECK_MAX_MINUTES || '360'),
+    spotCheckSampleSize: parseInt(config.HOLDING_SPOT_CHECK_SAMPLE || '25')
+  };
+
+  // RPC failover: attempts per call (across endpoints), backoff base, and when to bench an endpoint
+  const RPC_MAX_ATTEMPTS = parseInt(config.RPC_MAX_ATTEMPTS || '4');
+  const RPC_RETRY_BASE_MS = parseInt(config.RPC_RETRY_BASE_MS || '250');
+  const RPC_FAILURE_THRESHOLD = parseInt(config.RPC_FAILURE_THRESHOLD || '3');   // consecutive failures
+  const RPC_COOLDOWN_MS = parseInt(config.RPC_COOLDOWN_MS || '30000');           // time benched
+
+  // Solvency: /health reports degraded when the vault covers less than this multiple of outstanding liabilities
+  const SOLVENCY_MIN_COVERAGE = parseFloat(config.SOLVENCY_MIN_COVERAGE || '1.2');
+
+  // Built claim transactions must be co-signed within this window (blockhash lifetime is ~60-90s)
+  const CLAIM_TTL_MS = parseInt(config.CLAIM_TTL_MS || '150000');
+
+  // Rate limits per route group: max requests per sliding window, per IP and per wallet.
+  // RATE_LIMITS (JSON) overrides any part, e.g. {"scores":{"wallet":10}}; RATE_LIMIT_ENABLED=false turns it off.
+  const RATE_LIMIT_ENABLED = config.RATE_LIMIT_ENABLED !== 'false';
+  const RATE_LIMITS = mergeRateLimits({
+    auth:    { windowMs: 60000, ip: 20 },                 // nonce / verify
+    scores:  { windowMs: 60000, ip: 60, wallet: 20 },     // game start / record-game
+    balance: { windowMs: 60000, ip: 30, wallet: 10 },     // balance checks, eligibility, registration
+    claims:  { windowMs: 60000, ip: 20, wallet: 6 },      // claim / cosign / confirm
+    profile: { windowMs: 60000, ip: 20 },                 // profile nonce / update
+    admin:   { windowMs: 60000, ip: 60 }
+  }, config.RATE_LIMITS);
+
+  // Balance cache: how long a wallet's $CHUM balance is reused before hitting RPC / pump.fun again
+  const BALANCE_CACHE_TTL_MS = parseInt(config.BALANCE_CACHE_TTL_MS || '30000');
+  const BALANCE_CACHE_MAX_ENTRIES = parseInt(config.BALANCE_CACHE_MAX_ENTRIES || '10000');
+
+  // Live leaderboard streams: how often subscribers get a countdown event (doubles as keep-alive)
+  const STREAM_COUNTDOWN_INTERVAL_MS = parseInt(config.STREAM_COUNTDOWN_INTERVAL_MS || '15000');
+
+  // Server-pushed prize payouts: winners per multi-transfer transaction (each may also need an ATA create)
+  const PAYOUT_BATCH_SIZE = parseInt(config.PAYOUT_BATCH_SIZE || '6');
+
+  // Prometheus scrapes of /metrics must send this as a bearer token (open when unset)
+  const METRICS_TOKEN = config.METRICS_TOKEN || '';
+
+  // Player profiles: extra whole words refused in display names (comma-separated, on top of the built-in list)
+  const PROFILE_BLOCKED_WORDS = (config.PROFILE_BLOCKED_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+
+  // Token Program IDs for balance checking
+  const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+  const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+
+  // Load authority keypair (unless one was injected — null runs without an authority)
+  let authority = options.authority !== undefined ? options.authority : null;
+  try {
+      if (options.authority !== undefined) {
+          if (authority) logger.info('Authority injected', { authority: authority.publicKey.toBase58() });
+      } else if (config.AUTHORITY_KEYPAIR) {
+          const keypairData = JSON.parse(config.AUTHORITY_KEYPAIR);
+          authority = Keypair.fromSecretKey(new Uint8Array(keypairData));
+          logger.info('Authority loaded', { authority: authority.publicKey.toBase58() });
+      } else {
+          logger.error('AUTHORITY_KEYPAIR is not set; claims and payouts are disabled', {
+              hint: 'Generate one with solana-keygen new --outfile authority.json, then set AUTHORITY_KEYPAIR to the JSON array contents'
+          });
+      }
+  } catch (error) {
+      logger.error('Failed to load authority keypair', { error: error.message });
+  }
+
+  // ===== METRICS =====
+  // Prometheus metrics for /metrics. Counters are bumped where things happen; gauges read from state
+  // (vault, liabilities, participants, RPC endpoints) are refreshed on every scrape.
+
+  const metrics = createMetricsRegistry({ logger });
+  const gamesRecorded = metrics.counter('p2e_games_recorded_total', 'Scores accepted by /api/record-game', ['mode']);
+  const tournamentRegistrations = metrics.counter('p2e_tournament_registrations_total', 'New tournament registrations');
+  const claimEvents = metrics.counter('p2e_claims_total', 'Claim transactions by stage (built, cosigned, sent, confirmed) and source (player, payout)', ['stage', 'source']);
+  const claimFailures = metrics.counter('p2e_claim_failures_total', 'Failed claim steps (build, cosign, confirm, payout) by error code', ['step', 'error']);
+  const claimConfirmPending = metrics.counter('p2e_claim_confirm_pending_total', 'Confirm calls answered TX_NOT_CONFIRMED while the transaction is still landing');
+  const adminActions = metrics.counter('p2e_admin_actions_total', 'Audited admin actions', ['action', 'admin']);
+  const rpcDuration = metrics.histogram('p2e_rpc_request_duration_seconds', 'Solana RPC calls, including failover retries', ['method', 'outcome']);
+  const rpcErrors = metrics.counter('p2e_rpc_errors_total', 'Solana RPC calls that failed (after any retries)', ['method']);
+  const pumpfunLookups = metrics.counter('p2e_pumpfun_lookups_total', 'pump.fun token lookups by outcome', ['outcome']);
+  const vaultBalanceGauge = metrics.gauge('p2e_vault_balance_chum', 'Reward vault balance (absent while it cannot be read)');
+  const pendingRewardsGauge = metrics.gauge('p2e_pending_rewards_chum', 'Unclaimed player rewards');
+  const prizePoolsGauge = metrics.gauge('p2e_prize_pools_chum', 'Prize pools of running tournaments');
+  const liabilitiesGauge = metrics.gauge('p2e_pending_liabilities_chum', 'Pending rewards plus running prize pools');
+  const solvencyGauge = metrics.gauge('p2e_solvency_status', '1 for the current solvency status', ['status']);
+  const activeTournamentsGauge = metrics.gauge('p2e_active_tournaments', 'Running tournaments');
+  const participantsGauge = metrics.gauge('p2e_tournament_participants', 'Registered players per running tournament', ['tournament_id', 'tournament']);
+  const rpcEndpointGauge = metrics.gauge('p2e_rpc_endpoint_healthy', '1 while an RPC endpoint is not benched', ['endpoint']);
+
+  metrics.onCollect(async () => {
+      const solvency = await getSolvencyReport();
+      if (solvency.vaultBalance === null) vaultBalanceGauge.reset();
+      else vaultBalanceGauge.set({}, solvency.vaultBalance);
+      pendingRewardsGauge.set({}, solvency.liabilities.pendingRewards);
+      prizePoolsGauge.set({}, solvency.liabilities.prizePools);
+      liabilitiesGauge.set({}, solvency.liabilities.total);
+      for (const status of ['ok', 'low', 'insolvent', 'unknown']) solvencyGauge.set({ status }, solvency.status === status ? 1 : 0);
+  });
+
+  metrics.onCollect(() => {
+      activeTournamentsGauge.set({}, activeTournaments.size);
+      participantsGauge.reset();
+      for (const tournament of activeTournaments.values()) {
+          participantsGauge.set({ tournament_id: tournament.id, tournament: tournament.name }, Object.keys(tournament.registrations).length);
+      }
+      if (rpcPool) {
+          for (const endpoint of rpcPool.report()) rpcEndpointGauge.set({ endpoint: endpoint.url }, endpoint.healthy ? 1 : 0);
+      }
+  });
+
+  // Claim and admin counts follow the audit trail, which records every one of those events
+  function countAuditEvent({ type, actor, details }) {
+      if (type.startsWith('admin.')) adminActions.inc({ action: type.slice('admin.'.length), admin: actor.replace(/^admin:/, '') });
+      else if (type === 'claim.built' || type === 'claim.cosigned') claimEvents.inc({ stage: type.slice('claim.'.length), source: 'player' });
+      else if (type === 'claim.confirmed') claimEvents.inc({ stage: 'confirmed', source: details.payoutId ? 'payout' : 'player' });
+      else if (type === 'payout.sent') claimEvents.inc({ stage: 'sent', source: 'payout' });
+      else if (type === 'payout.failed') claimFailures.inc({ step: 'payout', error: 'PAYOUT_TX_FAILED' });
+  }
+
+  // Counts a claim route's error responses by code (sendError leaves the code in res.locals).
+  // TX_NOT_CONFIRMED means "still landing, call again", so polling confirm doesn't count as failing.
+  function countClaimFailures(step) {
+      return (req, res, next) => {
+          res.on('finish', () => {
+              if (res.statusCode < 400) return;
+              if (res.locals.errorCode === 'TX_NOT_CONFIRMED') claimConfirmPending.inc();
+              else claimFailures.inc({ step, error: res.locals.errorCode || String(res.statusCode) });
+          });
+          next();
+      };
+  }
+
+  // ===== SOLANA RPC (failover) =====
+  // Every RPC call goes through `connection`, which tries the configured endpoints in order of
+  // preference, skipping ones that keep failing, with exponential backoff between attempts.
+  // Only transport-level failures (network, timeouts, 429, 5xx) are retried — anything else is the
+  // RPC's real answer and is thrown straight back.
+
+  // Connection methods this server uses (spl-token's getAccount calls getAccountInfo)
+  const RPC_METHODS = [
+      'getAccountInfo', 'getParsedAccountInfo', 'getMultipleAccountsInfo',
+      'getTokenAccountsByOwner', 'getParsedTokenAccountsByOwner',
+      'getLatestBlockhash', 'getBlockHeight', 'getSignatureStatus', 'getParsedTransaction',
+      'sendRawTransaction', 'confirmTransaction'
+  ];
+
+  const RETRYABLE_RPC_ERROR = /fetch failed|network|socket|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|timed? ?out|429|Too Many Requests|50[0234]|Bad Gateway|Service Unavailable|Gateway Time/i;
+
+  function isRetryableRpcError(error) {
+      return RETRYABLE_RPC_ERROR.test(error?.message || String(error));
+  }
+
+  // Endpoint URLs often carry an API key — only ever show the origin
+  function redactRpcUrl(url) {
+      return url.split('?')[0];
+  }
+
+  function createRpcPool(urls) {
+      const endpoints = urls.map(url => ({
+          url,
+          connection: new Connection(url, { commitment: 'confirmed', disableRetryOnRateLimit: true }),
+          successes: 0,
+          failures: 0,
+          consecutiveFailures: 0,
+          benchedUntil: 0,
+          lastError: null,
+          lastErrorAt: null,
+          lastLatencyMs: null
+      }));
+
+      // Healthy endpoints in configured order, then benched ones (soonest back first) as a last resort
+      function ranked() {
+          const now = clock.now();
+          const healthy = endpoints.filter(e => e.benchedUntil <= now);
+          const benched = endpoints.filter(e => e.benchedUntil > now).sort((a, b) => a.benchedUntil - b.benchedUntil);
+          return [...healthy, ...benched];
+      }
+
+      async function call(method, args) {
+          let lastError = null;
+          for (let attempt = 0; attempt < RPC_MAX_ATTEMPTS; attempt++) {
+              if (attempt > 0) {
+                  const delayMs = RPC_RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * RPC_RETRY_BASE_MS);
+                  await new Promise(resolve => setTimeout(resolve, delayMs));
+              }
+              const order = ranked();
+              const endpoint = order[attempt % order.length];
+              const startedAt = clock.now();
+              try {
+                  const result = await endpoint.connection[method](...args);
+                  endpoint.successes++;
+                  endpoint.consecutiveFailures = 0;
+                  endpoint.benchedUntil = 0;
+                  endpoint.lastLatencyMs = clock.now() - startedAt;
+                  return result;
+              } catch (error) {
+                  if (!isRetryableRpcError(error)) throw error;
+                  lastError = error;
+                  endpoint.failures++;
+                  endpoint.consecutiveFailures++;
+                  endpoint.lastError = error.message;
+                  endpoint.lastErrorAt = clock.now();
+                  if (endpoint.consecutiveFailures >= RPC_FAILURE_THRESHOLD && endpoint.benchedUntil <= clock.now()) {
+                      endpoint.benchedUntil = clock.now() + RPC_COOLDOWN_MS;
+                      logger.warn('RPC endpoint benched', { endpoint: redactRpcUrl(endpoint.url), cooldownMs: RPC_COOLDOWN_MS, error: error.message });
+                  }
+              }
+          }
+          throw lastError;
+      }
+
+      const connection = { get rpcEndpoint() { return ranked()[0].url; } };
+      for (const method of RPC_METHODS) {
+          connection[method] = (...args) => call(method, args);
+      }
+
+      return {
+          connection,
+          report() {
+              const now = clock.now();
+              return endpoints.map(e => ({
+                  url: redactRpcUrl(e.url),
+                  healthy: e.benchedUntil <= now,
+                  benchedUntil: e.benchedUntil > now ? e.benchedUntil : null,
+                  successes: e.successes,
+                  failures: e.failures,
+                  consecutiveFailures: e.consecutiveFailures,
+                  lastError: e.lastError,
+                  lastErrorAt: e.lastErrorAt,
+                  lastLatencyMs: e.lastLatencyMs
+              }));
+          }
+      };
+  }
+
+  // Times every call the server makes, on the failover pool or an injected connection alike
+  function instrumentConnection(target) {
+      const instrumented = Object.create(target);
+      for (const method of RPC_METHODS) {
+          if (typeof target[method] !== 'function') continue;
+          instrumented[method] = async (...args) => {
+              const startedAt = clock.now();
+              try {
+                  const result = await target[method](...args);
+                  rpcDuration.observe({ method, outcome: 'ok' }, (clock.now() - startedAt) / 1000);
+                  return result;
+              } catch (error) {
+                  rpcDuration.observe({ method, outcome: 'error' }, (clock.now() - startedAt) / 1000);
+                  rpcErrors.inc({ method });
+                  throw error;
+              }
+          };
+      }
+      return instrumented;
+  }
+
+  // An injected connection (test validator, stub) bypasses the failover pool
+  const rpcPool = options.connection ? null : createRpcPool(RPC_URLS);
+  const connection = instrumentConnection(options.connection || rpcPool.connection);
+
+  // ===== PERSISTENT STORAGE =====
+  // STORAGE_BACKEND: firebase | file | memory (defaults to firebase when FIREBASE_DB_URL is set, else file)
+  const FIREBASE_DB_URL = config.FIREBASE_DB_URL || '';
+  const STORAGE_BACKEND = config.STORAGE_BACKEND || (FIREBASE_DB_URL ? 'firebase' : 'file');
+  // Production disks are often wiped on redeploy, which would take every balance in the JSON file with them
+  const STORAGE_FALLBACK = !config.STORAGE_BACKEND && !FIREBASE_DB_URL && !options.storage;
+  if (STORAGE_FALLBACK && config.NODE_ENV === 'production') {
+      throw new Error('Set STORAGE_BACKEND (or FIREBASE_DB_URL) in production; refusing to fall back to the local JSON file');
+  }
+  const STORAGE_FILE = config.STORAGE_FILE || path.join(__dirname, 'data', 'p2e-store.json');
+
+  // In-memory cache (backed by storage)
+  const gameSessions = new Map();
+  const playerRecords = new Map();
+
+  function createStorage(backend) {
+    switch (backend) {
+      case 'firebase':
+        if (!FIREBASE_DB_URL) throw new Error('STORAGE_BACKEND=firebase requires FIREBASE_DB_URL');
+        return createFirebaseStorage(FIREBASE_DB_URL);
+      case 'file':
+        return createFileStorage(STORAGE_FILE, logger);
+      case 'memory':
+        return createMemoryStorage();
+      default:
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use firebase, file or memory)`);
+    }
+  }
+
+  const storage = options.storage || createStorage(STORAGE_BACKEND);
+  if (STORAGE_FALLBACK) {
+      logger.warn('STORAGE_BACKEND is not set; using the local JSON file, which is lost if the disk is wiped', { file: STORAGE_FILE });
+  }
+
+  // Storage helpers — errors are logged, never thrown, so a storage hiccup can't fail a request mid-way
+  async function storageSave(storagePath, data) {
+    try {
+      await storage.set(storagePath, data);
+    } catch (err) {
+      logger.error('Storage save failed', { path: storagePath, error: err.message });
+    }
+  }
+
+  async function storageLoad(storagePath) {
+    try {
+      return await storage.get(storagePath);
+    } catch (err) {
+      logger.error('Storage load failed', { path: storagePath, error: err.message });
+      return null;
+    }
+  }
+
+  // ===== AUDIT LOG =====
+  // Append-only record of every reward balance change, claim step and admin action.
+  // Entries are written with compareAndSet against null, so an existing entry is never overwritten:
+  //   audit/{YYYY-MM-DD}/{id}          — by UTC day, for time-range queries
+  //   auditByWallet/{wallet}/{id}      — copy for the wallet it concerns, for per-wallet queries
+  // actor: 'admin:<name>', 'player:<wallet>' or 'system:<component>'
+
+  const AUDIT_DAY_MS = 24 * 60 * 60 * 1000;
+  const AUDIT_MAX_RANGE_DAYS = 92;
+
+  function auditDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  // The reward fields audited as before/after on every balance change
+  function rewardBalances(record) {
+    if (!record) return null;
+    return { pendingRewards: record.pendingRewards, totalClaimed: record.totalClaimed, totalEarned: record.totalEarned };
+  }
+
+  // Never throws — losing an audit write must not fail the action being audited
+  async function appendAudit({ type, actor, wallet = null, before = null, after = null, details = {} }) {
+    const at = clock.now();
+    const id = `${at}_${crypto.randomBytes(4).toString('hex')}`;
+    const entry = { id, at, type, actor, wallet, before, after, details };
+    countAuditEvent(entry);
+    try {
+      await storage.compareAndSet(`audit/${auditDay(at)}/${id}`, null, entry);
+      if (wallet) await storage.compareAndSet(`auditByWallet/${wallet}/${id}`, null, entry);
+    } catch (err) {
+      logger.error('Audit write failed', { type, wallet, error: err.message });
+    }
+    return entry;
+  }
+
+  // Newest first. Without a wallet the range is capped so a query never scans the whole log.
+  async function queryAudit({ wallet, from, to, type, limit }) {
+    let entries = [];
+    if (wallet) {
+      entries = Object.values((await storage.list(`auditByWallet/${wallet}`)) || {});
+    } else {
+      for (let day = Date.parse(auditDay(from)); day <= to; day += AUDIT_DAY_MS) {
+        entries.push(...Object.values((await storage.list(`audit/${auditDay(day)}`)) || {}));
+      }
+    }
+    return entries
+      .filter(e => e.at >= from && e.at <= to && (!type || e.type === type || e.type.startsWith(`${type}.`)))
+      .sort((a, b) => b.at - a.at || (b.id < a.id ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  // Save player record to both cache and storage. Unlike storageSave this throws when the write
+  // fails, so a route never reports a balance change that wasn't persisted.
+  async function savePlayerRecord(wallet, record) {
+    playerRecords.set(wallet, record);
+    // Limit earnHistory to last 200 entries to keep records manageable
+    const toSave = { ...record };
+    if (toSave.earnHistory && toSave.earnHistory.length > 200) {
+      toSave.earnHistory = toSave.earnHistory.slice(-200);
+    }
+    try {
+      await storage.set(`players/${wallet}`, toSave);
+    } catch (err) {
+      logger.error('Storage save failed', { path: `players/${wallet}`, error: err.message });
+      throw err;
+    }
+  }
+
+  // Load player from cache or storage
+  async function loadPlayerRecord(wallet) {
+    // Check cache first
+    if (playerRecords.has(wallet)) {
+      return playerRecords.get(wallet);
+    }
+    // Try storage
+    const data = await storageLoad(`players/${wallet}`);
+    if (data) {
+      // Ensure earnHistory is an array (Firebase can convert arrays to objects)
+      if (data.earnHistory && !Array.isArray(data.earnHistory)) {
+        data.earnHistory = Object.values(data.earnHistory);
+      }
+      playerRecords.set(wallet, data);
+      return data;
+    }
+    return null;
+  }
+
+  // Records for many wallets: cached ones directly, the rest read in parallel chunks, so a large
+  // tournament costs a handful of storage round-trips rather than one per wallet
+  async function loadPlayerRecords(wallets) {
+    const missing = wallets.filter(wallet => !playerRecords.has(wallet));
+    for (let i = 0; i < missing.length; i += 50) {
+      await Promise.all(missing.slice(i, i + 50).map(loadPlayerRecord));
+    }
+    return new Map(wallets.map(wallet => [wallet, playerRecords.get(wallet) || null]));
+  }
+
+  // Load all players from storage on startup
+  async function loadAllPlayers() {
+    if (!storage.persistent) {
+      logger.warn('Using in-memory storage; data is lost on restart');
+      return;
+    }
+    logger.info('Loading player data', { storage: storage.name });
+    try {
+      const allPlayers = await storage.list('players');
+      if (allPlayers && typeof allPlayers === 'object') {
+        let count = 0;
+        for (const [wallet, record] of Object.entries(allPlayers)) {
+          // Ensure earnHistory is an array
+          if (record.earnHistory && !Array.isArray(record.earnHistory)) {
+            record.earnHistory = Object.values(record.earnHistory);
+          }
+          if (!record.earnHistory) record.earnHistory = [];
+          playerRecords.set(wallet, record);
+          count++;
+        }
+        logger.info('Player records loaded', { count });
+      } else {
+        logger.info('No existing player data');
+      }
+    } catch (err) {
+      logger.error('Failed to load players', { error: err.message });
+    }
+  }
+
+  // ===== HELPER FUNCTIONS =====
+
+  function isValidSolanaAddress(address) {
+    try {
+      if (!address || typeof address !== "string") return false;
+      address = address.trim();
+      const decoded = bs58.decode(address);
+      if (decoded.length !== 32) return false;
+      if (address.length < 30 || address.length > 48) return false;
+      new PublicKey(address);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Throws when the RPC can't be reached — callers must not mistake that for a zero balance
+  async function getTokenBalance(ownerAddress, mintAddress) {
+    if (!mintAddress || mintAddress === 'SOL') return 0;
+    const owner = new PublicKey(ownerAddress);
+    const mint = new PublicKey(mintAddress);
+    let total = 0;
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+      const resp = await connection.getParsedTokenAccountsByOwner(owner, { programId });
+      for (const a of resp.value) {
+        const info = a.account?.data?.parsed?.info;
+        if (!info || info.mint !== mint.toBase58()) continue;
+        const amt = info.tokenAmount || {};
+        const asNumber = amt.uiAmountString ? Number(amt.uiAmountString) : Number(amt.uiAmount ?? 0);
+        if (Number.isFinite(asNumber)) total += asNumber;
+      }
+    }
+    return total;
+  }
+
+  async function checkPumpfunToken(mint) {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+      const response = await fetch(`https://frontend-api.pump.fun/coins/${mint}`, {
+        headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'application/json' },
+        signal: controller.signal
+      });
+      clearTimeout(timeoutId);
+      if (response.status >= 500) {
+        pumpfunLookups.inc({ outcome: 'server_error' });
+        return { isPumpfun: null, graduated: null };
+      }
+      if (response.ok) {
+        const data = await response.json();
+        if (data?.mint) {
+          pumpfunLookups.inc({ outcome: 'pumpfun' });
+          return {
+            isPumpfun: true,
+            graduated: !!data.raydium_pool,
+            marketCap: Number(data.usd_market_cap || 0),
+            bondingCurve: data.bonding_curve,
+            raydiumPool: data.raydium_pool
+          };
+        }
+      } else if (response.status === 404) {
+        pumpfunLookups.inc({ outcome: 'not_pumpfun' });
+        return { isPumpfun: false, graduated: null };
+      }
+      pumpfunLookups.inc({ outcome: 'unexpected_response' });
+      return { isPumpfun: null, graduated: null };
+    } catch (pumpErr) {
+      pumpfunLookups.inc({ outcome: pumpErr.name === 'AbortError' ? 'timeout' : 'error' });
+      return { isPumpfun: null, graduated: null };
+    }
+  }
+
+  // Thrown when no RPC endpoint could tell us a wallet's balance (as opposed to it being zero)
+  function balanceUnavailableError(cause) {
+    const error = new Error(`Balance unavailable: ${cause.message}`);
+    error.code = 'BALANCE_UNAVAILABLE';
+    return error;
+  }
+
+  // Same envelope for every route that needs a balance it couldn't get
+  function sendBalanceUnavailable(res, error) {
+    res.req.log.warn('Balance unavailable', { error: error.message });
+    return sendError(res, 503, 'BALANCE_UNAVAILABLE', 'Could not read your $CHUM balance right now — please try again shortly');
+  }
+
+  async function getComprehensiveTokenBalance(walletAddress, tokenMint) {
+    if (!isValidSolanaAddress(walletAddress) || !isValidSolanaAddress(tokenMint)) return 0;
+    try {
+      const owner = new PublicKey(walletAddress);
+      const mint = new PublicKey(tokenMint);
+      const pumpInfo = await checkPumpfunToken(tokenMint);
+      
+      if (pumpInfo.isPumpfun === true && !pumpInfo.graduated) {
+        const balance = await getTokenBalance(walletAddress, tokenMint);
+        return balance;
+      }
+      
+      const balance = await getTokenBalance(walletAddress, tokenMint);
+      if (balance > 0) return balance;
+      
+      const tokenAccounts = await connection.getTokenAccountsByOwner(owner, { mint });
+      if (tokenAccounts.value.length > 0) {
+        let totalBalance = 0;
+        for (const account of tokenAccounts.value) {
+          const accountInfo = await connection.getParsedAccountInfo(account.pubkey);
+          totalBalance += accountInfo.value?.data?.parsed?.info?.tokenAmount?.uiAmount || 0;
+        }
+        return totalBalance;
+      }
+      return 0;
+    } catch (error) {
+      throw balanceUnavailableError(error);
+    }
+  }
+
+  // ===== BALANCE CACHE =====
+  // getComprehensiveTokenBalance can cost a pump.fun call plus several RPC calls, so eligibility
+  // checks share one cached $CHUM balance per wallet. Concurrent lookups for the same wallet wait on
+  // a single in-flight request. Pass { fresh: true } where a stale balance could cost us
+  // (claims, holding verification) — the fresh result refreshes the cache for everyone else.
+
+  const balanceCache = new Map();     // wallet -> { balance, fetchedAt }
+  const balanceLookups = new Map();   // wallet -> in-flight Promise
+  const balanceCacheStats = { hits: 0, misses: 0, coalesced: 0, freshReads: 0 };
+
+  async function getChumBalance(wallet, { fresh = false } = {}) {
+    const inFlight = balanceLookups.get(wallet);
+    if (inFlight) {
+      balanceCacheStats.coalesced++;
+      return inFlight;
+    }
+
+    const cached = balanceCache.get(wallet);
+    if (!fresh && cached && clock.now() - cached.fetchedAt < BALANCE_CACHE_TTL_MS) {
+      balanceCacheStats.hits++;
+      return cached.balance;
+    }
+    if (fresh) balanceCacheStats.freshReads++;
+    else balanceCacheStats.misses++;
+
+    const lookup = getComprehensiveTokenBalance(wallet, CHUM_MINT)
+      .then(balance => {
+        // Re-insert so Map order stays oldest-first for eviction
+        balanceCache.delete(wallet);
+        balanceCache.set(wallet, { balance, fetchedAt: clock.now() });
+        if (balanceCache.size > BALANCE_CACHE_MAX_ENTRIES) balanceCache.delete(balanceCache.keys().next().value);
+        return balance;
+      })
+      .finally(() => balanceLookups.delete(wallet));
+    balanceLookups.set(wallet, lookup);
+    return lookup;
+  }
+
+  function balanceCacheReport() {
+    const { hits, misses, coalesced, freshReads } = balanceCacheStats;
+    const requests = hits + misses + coalesced + freshReads;
+    return {
+      ttlMs: BALANCE_CACHE_TTL_MS,
+      entries: balanceCache.size,
+      hits,
+      misses,
+      coalesced,
+      freshReads,
+      lookupsSaved: hits + coalesced,
+      hitRate: requests ? Math.round(((hits + coalesced) / requests) * 1000) / 1000 : 0
+    };
+  }
+
+  async function getOrCreatePlayerRecord(wallet) {
+    // Check cache first, then storage
+    const existing = await loadPlayerRecord(wallet);
+    if (existing) return existing;
+
+    // Create new record
+    const newRecord = {
+      wallet,
+      totalEarned: 0,
+      totalClaimed: 0,
+      pendingRewards: 0,
+      balance: 0,
+      gamesPlayed: 0,
+      lastGameAt: null,
+      lastClaimAt: null,
+      verifiedAt: null,
+      earnHistory: []
+    };
+    playerRecords.set(wallet, newRecord);
+    await savePlayerRecord(wallet, newRecord);
+    return newRecord;
+  }
+
+  // ===== REQUEST VALIDATION & ERRORS =====
+  // Every failure is sent as { success: false, error: 'MACHINE_CODE', message, status } with `status` as the
+  // HTTP status, plus any fields specific to that error (e.g. retryAfterSeconds, claimId).
+
+  function sendError(res, status, error, message, extra = {}) {
+    res.locals.errorCode = error;
+    return res.status(status).json({ success: false, error, message, status, ...extra });
+  }
+
+  // Schemas are declared per route as validate({ params, query, body }), each mapping field -> rule:
+  //   type        string | wallet | number | integer | boolean | object | array
+  //   required    missing (undefined, null or '') fails with MISSING_FIELDS
+  //   default     used when missing
+  //   min / max / minLength / maxLength / maxItems / pattern / enum
+  // Path and query values arrive as strings and are coerced to numbers / booleans. Checked values (with
+  // defaults) replace the originals; fields without a rule are left alone.
+  function checkField(value, rule, fromString) {
+    switch (rule.type) {
+      case 'wallet':
+        return isValidSolanaAddress(value) ? { value } : { problem: 'must be a Solana wallet address', code: 'INVALID_WALLET' };
+      case 'string':
+        if (typeof value !== 'string') return { problem: 'must be a string' };
+        if (rule.minLength !== undefined && value.trim().length < rule.minLength) return { problem: rule.minLength === 1 ? 'must not be blank' : `must be at least ${rule.minLength} characters` };
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) return { problem: `must be at most ${rule.maxLength} characters` };
+        if (rule.enum && !rule.enum.includes(value)) return { problem: `must be one of ${rule.enum.join(', ')}` };
+        if (rule.pattern && !rule.pattern.test(value)) return { problem: rule.patternMessage || 'has an invalid format' };
+        return { value };
+      case 'number':
+      case 'integer': {
+        const number = fromString && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { problem: 'must be a finite number' };
+        if (rule.type === 'integer' && !Number.isInteger(number)) return { problem: 'must be an integer' };
+        if (rule.min !== undefined && number < rule.min) return { problem: `must be at least ${rule.min}` };
+        if (rule.max !== undefined && number > rule.max) return { problem: `must be at most ${rule.max}` };
+        return { value: number };
+      }
+      case 'boolean': {
+        const bool = fromString && (value === 'true' || value === 'false') ? value === 'true' : value;
+        return typeof bool === 'boolean' ? { value: bool } : { problem: 'must be true or false' };
+      }
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { problem: 'must be an object' };
+      case 'array':
+        if (!Array.isArray(value)) return { problem: 'must be an array' };
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) return { problem: `must have at most ${rule.maxItems} items` };
+        return { value };
+      default:
+        throw new Error(`Unknown schema type ${rule.type}`);
+    }
+  }
+
+  function validate(schema) {
+    const middleware = (req, res, next) => {
+      if (schema.body && (!req.body || typeof req.body !== 'object' || Array.isArray(req.body))) {
+        return sendError(res, 400, 'INVALID_BODY', 'Request body must be a JSON object');
+      }
+      for (const location of ['params', 'query', 'body']) {
+        if (!schema[location]) continue;
+        const source = req[location];
+        for (const [field, rule] of Object.entries(schema[location])) {
+          const value = source[field];
+          if (value === undefined || value === null || value === '') {
+            if (rule.required) return sendError(res, 400, 'MISSING_FIELDS', `${field} is required`, { field, location });
+            if (rule.default !== undefined) source[field] = rule.default;
+            continue;
+          }
+          const result = checkField(value, rule, location !== 'body');
+          if (result.problem) {
+            return sendError(res, 400, result.code || 'INVALID_FIELD', `${field} ${result.problem}`, { field, location });
+          }
+          source[field] = result.value;
+        }
+      }
+      next();
+    };
+    // Route middleware carries `apiDoc` so openapi.js can describe the route from its definition
+    middleware.apiDoc = { schema };
+    return middleware;
+  }
+
+  // Shared rules
+  const WALLET = { type: 'wallet', required: true };
+  const TOURNAMENT_ID = { type: 'string', maxLength: 100 };
+  const REASON = { type: 'string', required: true, minLength: 1, maxLength: 500 };
+
+  // ===== WALLET AUTHENTICATION (Sign-In-With-Solana) =====
+
+  // Outstanding sign-in nonces: nonce -> { wallet, message, expiresAt }
+  const authNonces = new Map();
+
+  function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function buildSignInMessage(wallet, nonce, issuedAt, expiresAt) {
+    return [
+      'BullShark Feeding Frenzy wants you to sign in with your Solana account:',
+      wallet,
+      '',
+      'Sign in to the BullShark P2E Rewards API. This request will not trigger a blockchain transaction or cost any fees.',
+      '',
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date(issuedAt).toISOString()}`,
+      `Expiration Time: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+  }
+
+  function issueAuthNonce(wallet) {
+    // Drop expired nonces so the map can't grow unbounded
+    const now = clock.now();
+    for (const [nonce, entry] of authNonces) {
+      if (entry.expiresAt < now) authNonces.delete(nonce);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + AUTH_NONCE_TTL_MS;
+    const message = buildSignInMessage(wallet, nonce, now, expiresAt);
+    authNonces.set(nonce, { wallet, message, expiresAt });
+    return { nonce, message, expiresAt };
+  }
+
+  // Wallets return signatures as bs58 (Phantom/Solflare) — accept base64 as well
+  function decodeSignature(signature) {
+    if (!signature || typeof signature !== 'string') return null;
+    try {
+      const decoded = bs58.decode(signature);
+      if (decoded.length === 64) return new Uint8Array(decoded);
+    } catch (e) {}
+    try {
+      const decoded = Buffer.from(signature, 'base64');
+      if (decoded.length === 64) return new Uint8Array(decoded);
+    } catch (e) {}
+    return null;
+  }
+
+  function verifyWalletSignature(wallet, message, signature) {
+    const sigBytes = decodeSignature(signature);
+    if (!sigBytes) return false;
+    try {
+      const pubkeyBytes = new PublicKey(wallet).toBytes();
+      return nacl.sign.detached.verify(new TextEncoder().encode(message), sigBytes, pubkeyBytes);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Session token: base64url(payload).base64url(HMAC-SHA256(payload))
+  function issueSessionToken(wallet) {
+    const issuedAt = clock.now();
+    const payload = { wallet, iat: issuedAt, exp: issuedAt + AUTH_SESSION_TTL_MS };
+    const encoded = base64url(JSON.stringify(payload));
+    const mac = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(encoded).digest());
+    return { token: `${encoded}.${mac}`, expiresAt: payload.exp };
+  }
+
+  function verifySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [encoded, mac] = token.split('.');
+    if (!encoded || !mac) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(encoded).digest());
+    const a = Buffer.from(mac);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+      if (!payload.wallet || !payload.exp || payload.exp < clock.now()) return null;
+      return payload;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Requires a valid session token whose wallet matches body.playerWallet
+  function walletAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    if (!token) {
+      return sendError(res, 401, 'AUTH_REQUIRED', 'Sign in with your wallet first');
+    }
+
+    const session = verifySessionToken(token);
+    if (!session) {
+      return sendError(res, 401, 'INVALID_SESSION', 'Session expired or invalid — sign in again');
+    }
+
+    const playerWallet = req.body?.playerWallet;
+    if (playerWallet && playerWallet !== session.wallet) {
+      return sendError(res, 403, 'WALLET_MISMATCH', 'Session does not belong to this wallet');
+    }
+
+    req.walletSession = session;
+    next();
+  }
+  walletAuth.apiDoc = { security: 'wallet', errors: ['AUTH_REQUIRED', 'INVALID_SESSION', 'WALLET_MISMATCH'] };
+
+  // Banned wallets (playerRecord.banned, set via /admin/players) can't play, register or claim.
+  // /api/confirm-claim stays open: it only books a transfer that already happened on-chain.
+  async function rejectBanned(req, res, next) {
+    try {
+      const wallet = req.walletSession?.wallet || req.body?.playerWallet;
+      const record = wallet ? await loadPlayerRecord(wallet) : null;
+      if (record?.banned) {
+        return sendError(res, 403, 'WALLET_BANNED', `This wallet is banned: ${record.banned.reason}`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+  rejectBanned.apiDoc = { errors: ['WALLET_BANNED'] };
+
+  // ===== GAME SESSIONS =====
+
+  function signGameSession(session) {
+    const tournaments = session.tournamentIds ? session.tournamentIds.join(',') : (session.tournamentId || '');
+    const payload = `${session.sessionId}.${session.wallet}.${tournaments}.${session.startedAt}`;
+    return base64url(crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest());
+  }
+
+  // tournamentIds: the tournaments this run counts toward (empty for practice)
+  async function createGameSession(wallet, tournamentIds) {
+    const now = clock.now();
+    // Drop expired sessions from the cache
+    for (const [id, existing] of gameSessions) {
+      if (existing.expiresAt < now) gameSessions.delete(id);
+    }
+
+    const session = {
+      sessionId: `game_${now}_${crypto.randomBytes(6).toString('hex')}`,
+      wallet,
+      tournamentIds: tournamentIds || [],
+      startedAt: now,
+      expiresAt: now + GAME_SESSION_TTL_MS,
+      consumed: false
+    };
+    session.signature = signGameSession(session);
+
+    gameSessions.set(session.sessionId, session);
+    storageSave(`sessions/${session.sessionId}`, session);
+    return session;
+  }
+
+  async function loadGameSession(sessionId) {
+    if (gameSessions.has(sessionId)) return gameSessions.get(sessionId);
+    const data = await storageLoad(`sessions/${sessionId}`);
+    if (!data) return null;
+    // Another request may have cached it while we were loading — always hand out the cached object
+    if (!gameSessions.has(sessionId)) gameSessions.set(sessionId, data);
+    return gameSessions.get(sessionId);
+  }
+
+  // Marks the session used and returns it, or returns { error, message } when it can't be used.
+  // Consumption happens before any await so two concurrent submissions can't both pass.
+  function consumeGameSession(session, wallet, sessionToken) {
+    if (!session) return { error: 'INVALID_SESSION', message: 'Unknown game session — start a new game' };
+    if (session.wallet !== wallet) return { error: 'SESSION_WALLET_MISMATCH', message: 'Game session belongs to another wallet' };
+
+    const expected = Buffer.from(signGameSession(session));
+    const provided = Buffer.from(String(sessionToken || ''));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { error: 'INVALID_SESSION', message: 'Game session signature invalid' };
+    }
+    if (session.consumed) return { error: 'SESSION_ALREADY_USED', message: 'Score for this game was already submitted' };
+    if (session.expiresAt < clock.now()) return { error: 'SESSION_EXPIRED', message: 'Game session expired — start a new game' };
+
+    session.consumed = true;
+    session.consumedAt = clock.now();
+    storageSave(`sessions/${session.sessionId}`, session);
+    return { session };
+  }
+
+  // Returns null when the score is believable for the time played, otherwise a reason string
+  function checkScorePlausibility(score, elapsedMs, rules = SCORE_RULES) {
+    if (!Number.isFinite(score) || score < 0) return 'Score must be a non-negative number';
+    if (score > rules.maxScore) return `Score exceeds maximum of ${rules.maxScore.toLocaleString()}`;
+    if (elapsedMs < rules.minGameDurationMs) return `Game too short (${Math.round(elapsedMs / 1000)}s)`;
+    const maxForTime = Math.ceil((elapsedMs / 1000) * rules.maxPointsPerSecond);
+    if (score > maxForTime) return `Score ${score} not possible in ${Math.round(elapsedMs / 1000)}s (max ${maxForTime})`;
+    return null;
+  }
+
+  // ===== FIND ACTUAL TOKEN ACCOUNT (handles pump.fun non-standard ATAs) =====
+
+  async function findTokenAccount(ownerAddress, mintAddress) {
+    const owner = new PublicKey(ownerAddress);
+    const mint = new PublicKey(mintAddress);
+    
+    // Try both token programs
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+      try {
+        const resp = await connection.getParsedTokenAccountsByOwner(owner, { programId });
+        for (const a of resp.value) {
+          const info = a.account?.data?.parsed?.info;
+          if (!info || info.mint !== mint.toBase58()) continue;
+          const amt = info.tokenAmount || {};
+          const uiAmount = amt.uiAmountString ? Number(amt.uiAmountString) : Number(amt.uiAmount ?? 0);
+          const rawAmount = BigInt(amt.amount || '0');
+          if (rawAmount > 0n) {
+            return {
+              address: a.pubkey,
+              balance: uiAmount,
+              rawBalance: rawAmount,
+              decimals: amt.decimals || 6,
+              programId: programId
+            };
+          }
+        }
+      } catch (e) {
+        // Don't report an unfunded vault just because the RPC is down
+        logger.warn('Vault token account lookup failed', { programId: programId.toBase58(), error: e.message });
+        throw e;
+      }
+    }
+    return null;
+  }
+
+  // ===== VAULT INFO HELPER =====
+
+  async function getVaultInfo() {
+    if (!authority) return { funded: false, error: 'Authority keypair not loaded' };
+    
+    try {
+      const tokenAccount = await findTokenAccount(authority.publicKey.toString(), CHUM_MINT);
+      const mint = new PublicKey(CHUM_MINT);
+      const standardAta = await getAssociatedTokenAddress(mint, authority.publicKey);
+      
+      return {
+        funded: tokenAccount ? tokenAccount.balance > 0 : false,
+        vaultBalance: tokenAccount ? tokenAccount.balance : 0,
+        authorityWallet: authority.publicKey.toString(),
+        authorityAta: standardAta.toString(),
+        actualTokenAccount: tokenAccount ? tokenAccount.address.toString() : null,
+        tokenProgram: tokenAccount ? tokenAccount.programId.toString() : null,
+        mint: CHUM_MINT
+      };
+    } catch (error) {
+      return { funded: false, error: error.message };
+    }
+  }
+
+  // ===== SOLVENCY =====
+  // Liabilities are everything the vault may still have to pay: players' pendingRewards (which already
+  // include awarded prizes and payouts in flight) plus the full prize pool of every running tournament.
+
+  function roundChum(amount) {
+    return parseFloat(amount.toFixed(6));
+  }
+
+  function outstandingLiabilities() {
+    let pendingRewards = 0;
+    let playersOwed = 0;
+    for (const record of playerRecords.values()) {
+      if (record.pendingRewards > 0) {
+        pendingRewards += record.pendingRewards;
+        playersOwed++;
+      }
+    }
+    const tournaments = [...activeTournaments.values()]
+      .map(t => ({ id: t.id, name: t.name, prizePool: t.prizePool, endTime: t.endTime }));
+    const prizePools = tournaments.reduce((sum, t) => sum + t.prizePool, 0);
+    return { pendingRewards: roundChum(pendingRewards), playersOwed, prizePools: roundChum(prizePools), tournaments };
+  }
+
+  // status: ok | low (below SOLVENCY_MIN_COVERAGE) | insolvent (shortfall) | unknown (vault balance unavailable).
+  // `additionalPool` counts a prize pool that is about to be committed, e.g. a tournament being started.
+  async function getSolvencyReport({ additionalPool = 0, vaultInfo = null } = {}) {
+    const vault = vaultInfo || await getVaultInfo();
+    const liabilities = outstandingLiabilities();
+    const total = roundChum(liabilities.pendingRewards + liabilities.prizePools + additionalPool);
+    const report = {
+      vaultBalance: vault.error ? null : vault.vaultBalance,
+      liabilities: { ...liabilities, additionalPool, total },
+      minCoverage: SOLVENCY_MIN_COVERAGE,
+      checkedAt: clock.now()
+    };
+    if (vault.error) {
+      return { ...report, status: 'unknown', coverageRatio: null, shortfall: null, error: vault.error };
+    }
+
+    // No liabilities means fully covered; coverageRatio stays null rather than Infinity
+    const coverageRatio = total > 0 ? parseFloat((vault.vaultBalance / total).toFixed(4)) : null;
+    const shortfall = roundChum(Math.max(0, total - vault.vaultBalance));
+    const status = shortfall > 0 ? 'insolvent'
+      : coverageRatio !== null && coverageRatio < SOLVENCY_MIN_COVERAGE ? 'low'
+      : 'ok';
+    return { ...report, status, coverageRatio, shortfall };
+  }
+
+  // ===== CLAIM LEDGER =====
+
+  // Claim records (cached in memory, persisted under claims/{claimId})
+  // status: built -> cosigned -> confirmed; superseded when a newer claim is built, expired when a co-signed tx never landed
+  const claimRecords = new Map();
+
+  async function saveClaimRecord(claim) {
+    claimRecords.set(claim.claimId, claim);
+    await storageSave(`claims/${claim.claimId}`, claim);
+  }
+
+  async function loadClaimRecord(claimId) {
+    if (!claimId) return null;
+    if (claimRecords.has(claimId)) return claimRecords.get(claimId);
+    const data = await storageLoad(`claims/${claimId}`);
+    if (!data) return null;
+    if (!claimRecords.has(claimId)) claimRecords.set(claimId, data);
+    return claimRecords.get(claimId);
+  }
+
+  // Signatures that already settled a claim: claimSignatures/{signature} -> { claimId, wallet, confirmedAt }
+  const confirmingSignatures = new Set();
+
+  async function loadClaimSignature(signature) {
+    return storageLoad(`claimSignatures/${signature}`);
+  }
+
+  // Wallets whose claim is being built, co-signed or paid out right now. Each of those steps reads the
+  // wallet's active claim and then replaces it, so two of them must never interleave for one wallet.
+  const claimingWallets = new Set();
+
+  // Moves a claim to its next status only if the stored record is still the one we read, so two
+  // requests (or two instances) can't both act on it. On a conflict the cached copy is dropped.
+  async function transitionClaim(claim, changes) {
+    const swapped = await storage.compareAndSet(`claims/${claim.claimId}`, claim, { ...claim, ...changes });
+    if (swapped) Object.assign(claim, changes);
+    else claimRecords.delete(claim.claimId);
+    return swapped;
+  }
+
+  // The player's latest claim if it was co-signed but not yet confirmed — either still in flight,
+  // or landed on-chain without the player calling /api/confirm-claim
+  async function findUnsettledClaim(playerRecord) {
+    return checkUnsettled(await loadClaimRecord(playerRecord.activeClaimId));
+  }
+
+  // Any other co-signed, unsettled claim for the same wallet. Only claims this instance has loaded are
+  // seen; it backs up the active-claim check in /api/cosign-claim rather than replacing it.
+  async function findOtherUnsettledClaim(claim) {
+    for (const other of [...claimRecords.values()]) {
+      if (other.wallet === claim.wallet && other.claimId !== claim.claimId && await checkUnsettled(other)) return other;
+    }
+    return null;
+  }
+
+  async function checkUnsettled(claim) {
+    if (!claim || claim.status !== 'cosigned') return null;
+    if (claim.expiresAt > clock.now()) return claim;
+
+    try {
+      // Slow slots can keep a blockhash valid past expiresAt: only the chain's block height says it can no longer land.
+      // Checked before the status, so a transaction that lands in between is still seen below.
+      if (claim.lastValidBlockHeight && await connection.getBlockHeight('confirmed') <= claim.lastValidBlockHeight) return claim;
+
+      // Blockhash has expired, so the transaction either already landed or never will
+      const status = await connection.getSignatureStatus(claim.expectedSignature, { searchTransactionHistory: true });
+      if (status?.value && !status.value.err) return claim;
+    } catch (e) {
+      logger.warn('Could not check expired claim', { claimId: claim.claimId, error: e.message });
+      return claim;
+    }
+
+    claim.status = 'expired';
+    await saveClaimRecord(claim);
+    return null;
+  }
+
+  // Only the newest built claim can be co-signed. Returns false if the active claim could not be
+  // superseded because it was co-signed in the meantime — its transfer may still land, so nothing may replace it.
+  async function supersedeActiveClaim(playerRecord) {
+    const claim = await loadClaimRecord(playerRecord.activeClaimId);
+    if (!claim || claim.status !== 'built') return claim?.status !== 'cosigned';
+    return transitionClaim(claim, { status: 'superseded' });
+  }
+
+  // Drop settled/expired claims from the cache — they stay in storage
+  function pruneClaimCache() {
+    const cutoff = clock.now() - CLAIM_TTL_MS;
+    for (const [claimId, claim] of claimRecords) {
+      if (claim.expiresAt < cutoff) claimRecords.delete(claimId);
+    }
+  }
+
+  // Fetches the confirmed transaction and checks it moved exactly claim.rawAmount
+  // from the vault account into the player's token account.
+  // Returns { confirmed: true } or { confirmed: false, pending?, reason }.
+  // Every claim passed must share the transaction's blockhash and source account (one for a player
+  // claim, several for a batch payout); the source must lose exactly their total.
+  async function verifyClaimOnChain(signature, claims) {
+    const [claim] = claims;
+    let txInfo = null;
+    // The player usually calls confirm right after sending, so give the RPC a moment
+    for (const delayMs of [0, 3000, 2000]) {
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      try {
+        txInfo = await connection.getParsedTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+      } catch (e) {
+        logger.warn('getParsedTransaction failed', { signature, error: e.message });
+      }
+      if (txInfo) break;
+    }
+
+    if (!txInfo) return { confirmed: false, pending: true, reason: 'Transaction not found or not confirmed yet' };
+    if (txInfo.meta?.err) return { confirmed: false, reason: 'Transaction failed on-chain' };
+    if (txInfo.transaction.message.recentBlockhash !== claim.blockhash) {
+      return { confirmed: false, reason: 'Transaction is not the one built for this claim' };
+    }
+
+    const accountKeys = txInfo.transaction.message.accountKeys.map(k => (k.pubkey || k).toString());
+    const rawDelta = (address) => {
+      const index = accountKeys.indexOf(address);
+      if (index === -1) return 0n;
+      const pre = (txInfo.meta.preTokenBalances || []).find(b => b.accountIndex === index && b.mint === CHUM_MINT);
+      const post = (txInfo.meta.postTokenBalances || []).find(b => b.accountIndex === index && b.mint === CHUM_MINT);
+      return BigInt(post?.uiTokenAmount?.amount || '0') - BigInt(pre?.uiTokenAmount?.amount || '0');
+    };
+
+    let total = 0n;
+    for (const c of claims) {
+      const expected = BigInt(c.rawAmount);
+      if (rawDelta(c.destination) !== expected) {
+        return { confirmed: false, reason: `Token account of ${c.wallet.slice(0, 8)}... did not receive the claimed amount` };
+      }
+      total += expected;
+    }
+    if (rawDelta(claim.source) !== -total) {
+      return { confirmed: false, reason: 'Vault did not send the claimed amount' };
+    }
+    return { confirmed: true };
+  }
+
+  // Marks claims paid by an on-chain transaction and moves their amounts from pendingRewards to
+  // totalClaimed. The claimSignatures compareAndSet against null makes each signature settle once,
+  // even across instances. Returns false (and changes nothing) if the signature was already used.
+  async function settleClaims(claims, signature, ledgerEntry, actor) {
+    const confirmedAt = clock.now();
+    const reserved = await storage.compareAndSet(`claimSignatures/${signature}`, null, { ...ledgerEntry, confirmedAt });
+    if (!reserved) return false;
+
+    for (const claim of claims) {
+      claim.status = 'confirmed';
+      claim.signature = signature;
+      claim.confirmedAt = confirmedAt;
+      await saveClaimRecord(claim);
+
+      const playerRecord = await loadPlayerRecord(claim.wallet);
+      const before = rewardBalances(playerRecord);
+      if (!playerRecord) {
+        await appendAudit({ type: 'claim.confirmed', actor, wallet: claim.wallet, details: { claimId: claim.claimId, amount: claim.amount, signature } });
+        continue;
+      }
+      if (claim.amount > playerRecord.pendingRewards + 1e-6) {
+        // The clamp below keeps the balance sane, but the vault paid more than was owed
+        logger.error('Claim paid more than the player was owed', {
+          wallet: claim.wallet, claimId: claim.claimId, signature, amount: claim.amount, pendingRewards: playerRecord.pendingRewards
+        });
+      }
+      playerRecord.totalClaimed += claim.amount;
+      playerRecord.pendingRewards = Math.max(0, playerRecord.pendingRewards - claim.amount);
+      playerRecord.lastClaimAt = confirmedAt;
+      if (playerRecord.activeClaimId === claim.claimId) playerRecord.activeClaimId = null;
+
+      // Mark earn history entries as claimed
+      let remaining = claim.amount;
+      for (let entry of playerRecord.earnHistory) {
+        if (!entry.claimed && remaining > 0) {
+          if (entry.chumEarned <= remaining) {
+            entry.claimed = true;
+            entry.claimedAt = confirmedAt;
+            entry.claimId = claim.claimId;
+            entry.signature = signature;
+            remaining -= entry.chumEarned;
+          } else {
+            break;
+          }
+        }
+      }
+
+      await savePlayerRecord(claim.wallet, playerRecord);
+      await appendAudit({
+        type: 'claim.confirmed',
+        actor,
+        wallet: claim.wallet,
+        before,
+        after: rewardBalances(playerRecord),
+        details: { claimId: claim.claimId, amount: claim.amount, signature, payoutId: claim.payoutId || null }
+      });
+    }
+    return true;
+  }
+
+  // SPL Token instruction index for Transfer (the only token instruction we ever build)
+  const TOKEN_TRANSFER_INSTRUCTION = 3;
+  // ComputeBudget instructions wallets add before signing: SetComputeUnitLimit and SetComputeUnitPrice.
+  // The player is the fee payer, so the priority fee they choose never costs the vault anything.
+  const COMPUTE_BUDGET_INSTRUCTIONS = { 2: { name: 'limit', length: 5 }, 3: { name: 'price', length: 9 } };
+
+  // Checks that a player-signed transaction is exactly the claim we built.
+  // Returns null when it is safe for the authority to sign, otherwise a reason string.
+  function validateClaimTransaction(transaction, claim) {
+    if (!transaction.feePayer || transaction.feePayer.toString() !== claim.feePayer) {
+      return 'Fee payer does not match claim';
+    }
+    if (transaction.recentBlockhash !== claim.blockhash) {
+      return 'Blockhash does not match claim';
+    }
+
+    const authorityKey = authority.publicKey.toString();
+    let transfers = 0;
+    let ataCreates = 0;
+    const computeBudget = new Set();
+
+    for (const ix of transaction.instructions) {
+      const programId = ix.programId.toString();
+      const keys = ix.keys.map(k => k.pubkey.toString());
+
+      if (programId === ComputeBudgetProgram.programId.toString()) {
+        const kind = COMPUTE_BUDGET_INSTRUCTIONS[ix.data[0]];
+        if (!kind || ix.data.length !== kind.length || keys.length !== 0) return 'Only compute unit limit and price instructions are allowed';
+        if (computeBudget.has(kind.name)) return `Compute unit ${kind.name} may be set only once`;
+        computeBudget.add(kind.name);
+        continue;
+      }
+
+      if (programId === ASSOCIATED_TOKEN_PROGRAM_ID.toString()) {
+        // Create (empty data) or CreateIdempotent ([1]) for the player's destination ATA only
+        const isCreate = ix.data.length === 0 || (ix.data.length === 1 && ix.data[0] === 1);
+        if (!isCreate || keys.length !== 6) return 'Unexpected associated token instruction';
+        if (keys[0] !== claim.feePayer) return 'ATA payer must be the player';
+        if (keys[1] !== claim.destination) return 'ATA address does not match claim destination';
+        if (keys[2] !== claim.wallet) return 'ATA owner does not match player';
+        if (keys[3] !== CHUM_MINT) return 'ATA mint is not $CHUM';
+        if (keys[4] !== SystemProgram.programId.toString()) return 'ATA system program mismatch';
+        if (keys[5] !== claim.tokenProgram) return 'ATA token program mismatch';
+        ataCreates++;
+        continue;
+      }
+
+      if (programId === claim.tokenProgram) {
+        if (ix.data.length !== 9 || ix.data[0] !== TOKEN_TRANSFER_INSTRUCTION) return 'Only token transfers are allowed';
+        if (keys.length !== 3) return 'Unexpected transfer accounts';
+        if (keys[0] !== claim.source) return 'Transfer source is not the reward vault';
+        if (keys[1] !== claim.destination) return 'Transfer destination does not match claim';
+        if (keys[2] !== authorityKey) return 'Transfer authority mismatch';
+        if (ix.data.readBigUInt64LE(1) !== BigInt(claim.rawAmount)) return 'Transfer amount does not match claim';
+        transfers++;
+        continue;
+      }
+
+      return `Instruction for program ${programId} is not allowed`;
+    }
+
+    if (transfers !== 1) return 'Claim must contain exactly one transfer';
+    if (ataCreates > 1) return 'Claim may create at most one token account';
+
+    // The player must already have signed — the authority only ever signs second
+    const playerSig = transaction.signatures.find(s => s.publicKey.toString() === claim.feePayer);
+    if (!playerSig || !playerSig.signature) return 'Transaction is not signed by the player';
+    if (!transaction.verifySignatures(false)) return 'Player signature is invalid';
+
+    return null;
+  }
+
+  // ===== RATE LIMITING =====
+  // Sliding-window log per key, kept in process memory: `${group}:ip:${ip}` / `${group}:wallet:${wallet}`
+  // -> timestamps of the requests still inside the window. A request counts against every key it
+  // matches, and only when all of them still have room.
+
+  function mergeRateLimits(defaults, overridesJson) {
+    if (!overridesJson) return defaults;
+    let overrides;
+    try {
+      overrides = JSON.parse(overridesJson);
+    } catch (e) {
+      logger.error('RATE_LIMITS is not valid JSON; using defaults');
+      return defaults;
+    }
+    const merged = { ...defaults };
+    for (const [group, policy] of Object.entries(overrides)) {
+      merged[group] = { ...(defaults[group] || { windowMs: 60000 }), ...policy };
+    }
+    return merged;
+  }
+
+  const rateLimitHits = new Map();
+
+  // Drop timestamps older than the window; returns the live list for the key
+  function rateLimitWindow(key, windowMs, now) {
+    const hits = rateLimitHits.get(key);
+    if (!hits) return [];
+    while (hits.length && hits[0] <= now - windowMs) hits.shift();
+    return hits;
+  }
+
+  function rateLimit(group) {
+    const policy = RATE_LIMITS[group];
+    const middleware = (req, res, next) => {
+      if (!RATE_LIMIT_ENABLED || !policy) return next();
+
+      const now = clock.now();
+      // Only a signed-in wallet is a key: an unverified address from the URL or body could be rotated to dodge the limit
+      const wallet = req.walletSession?.wallet;
+      const keys = [];
+      if (policy.ip) keys.push({ key: `${group}:ip:${req.ip}`, limit: policy.ip });
+      if (policy.wallet && typeof wallet === 'string') keys.push({ key: `${group}:wallet:${wallet}`, limit: policy.wallet });
+
+      let remaining = Infinity;
+      for (const { key, limit } of keys) {
+        const hits = rateLimitWindow(key, policy.windowMs, now);
+        if (hits.length >= limit) {
+          const retryAfter = Math.max(1, Math.ceil((hits[0] + policy.windowMs - now) / 1000));
+          res.set('Retry-After', String(retryAfter));
+          return sendError(res, 429, 'RATE_LIMITED', `Too many requests — try again in ${retryAfter}s`, { retryAfterSeconds: retryAfter });
+        }
+        remaining = Math.min(remaining, limit - hits.length - 1);
+      }
+
+      for (const { key } of keys) {
+        if (!rateLimitHits.has(key)) rateLimitHits.set(key, []);
+        rateLimitHits.get(key).push(now);
+      }
+      if (keys.length) res.set('RateLimit-Remaining', String(remaining));
+      next();
+    };
+    middleware.apiDoc = { rateLimit: group, errors: ['RATE_LIMITED'] };
+    return middleware;
+  }
+
+  // Forget keys whose whole window has passed
+  runEvery(60000, () => {
+    const now = clock.now();
+    const longestWindow = Math.max(...Object.values(RATE_LIMITS).map(p => p.windowMs));
+    for (const [key, hits] of rateLimitHits) {
+      if (!hits.length || hits[hits.length - 1] <= now - longestWindow) rateLimitHits.delete(key);
+    }
+  });
+
+  // ===== ROUTES =====
+
+  // Health check
+  app.get('/health', async (req, res) => {
+      const vaultInfo = await getVaultInfo();
+      const solvency = await getSolvencyReport({ vaultInfo });
+      res.json({
+          // A balance that can't be read (no authority, an RPC blip) isn't a shortfall — see solvencyUnknown
+          status: solvency.status === 'insolvent' || solvency.status === 'low' ? 'degraded' : 'ok',
+          solvencyUnknown: solvency.status === 'unknown',
+          timestamp: new Date(clock.now()).toISOString(),
+          chumMint: CHUM_MINT,
+          minHold: MIN_HOLD_REQUIREMENT,
+          rpcUrl: connection.rpcEndpoint ? redactRpcUrl(connection.rpcEndpoint) : null,
+          rpc: rpcPool ? rpcPool.report() : null,
+          playersTracked: playerRecords.size,
+          totalSessions: gameSessions.size,
+          authority: authority ? authority.publicKey.toString() : 'NOT LOADED',
+          vault: vaultInfo,
+          solvency: {
+              status: solvency.status,
+              coverageRatio: solvency.coverageRatio,
+              shortfall: solvency.shortfall,
+              minCoverage: solvency.minCoverage,
+              error: solvency.error || null
+          },
+          balanceCache: balanceCacheReport()
+      });
+  });
+
+  // Prometheus scrape target
+  app.get('/metrics', async (req, res) => {
+      if (METRICS_TOKEN) {
+          const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+          const provided = Buffer.from(req.headers.authorization || '');
+          if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+              return sendError(res, 401, 'METRICS_AUTH_REQUIRED', 'Send the metrics token as Authorization: Bearer <token>');
+          }
+      }
+      res.type(metrics.contentType).send(await metrics.render());
+  });
+
+  // Vault info endpoint - shows where to send $CHUM for rewards
+  app.get('/api/vault-info', async (req, res) => {
+      const vaultInfo = await getVaultInfo();
+      res.json(vaultInfo);
+  });
+
+  // ===== WALLET SIGN-IN =====
+
+  // Step 1: get a nonce + message for the wallet to sign
+  app.post('/api/auth/nonce', rateLimit('auth'), validate({ body: { playerWallet: WALLET } }), (req, res) => {
+      const { playerWallet } = req.body;
+      const { nonce, message, expiresAt } = issueAuthNonce(playerWallet);
+      res.json({ success: true, nonce, message, expiresAt });
+  });
+
+  // Step 2: submit the signed message, receive a short-lived session token
+  app.post('/api/auth/verify', rateLimit('auth'), validate({
+      body: {
+          playerWallet: WALLET,
+          nonce: { type: 'string', required: true, maxLength: 64 },
+          signature: { type: 'string', required: true, maxLength: 128 }
+      }
+  }), (req, res) => {
+      const { playerWallet, nonce, signature } = req.body;
+
+      const pending = authNonces.get(nonce);
+      // Nonces are single-use, whether or not the signature checks out
+      authNonces.delete(nonce);
+
+      if (!pending || pending.wallet !== playerWallet || pending.expiresAt < clock.now()) {
+          return sendError(res, 401, 'INVALID_NONCE', 'Nonce expired or unknown — request a new one');
+      }
+
+      if (!verifyWalletSignature(playerWallet, pending.message, signature)) {
+          return sendError(res, 401, 'INVALID_SIGNATURE', 'Signature does not match wallet');
+      }
+
+      const { token, expiresAt } = issueSessionToken(playerWallet);
+      req.log.info('Wallet signed in', { wallet: playerWallet });
+
+      res.json({ success: true, token, wallet: playerWallet, expiresAt });
+  });
+
+  // Check balance
+  app.get('/api/check-balance/:wallet', rateLimit('balance'), validate({ params: { wallet: WALLET } }), async (req, res) => {
+      try {
+          const walletAddress = req.params.wallet;
+          const chumBalance = await getChumBalance(walletAddress);
+          const eligible = chumBalance >= MIN_HOLD_REQUIREMENT;
+          const deficit = Math.max(0, MIN_HOLD_REQUIREMENT - chumBalance);
+          const playerRecord = await loadPlayerRecord(walletAddress);
+          
+          res.json({
+              wallet: walletAddress,
+              balance: chumBalance,
+              required: MIN_HOLD_REQUIREMENT,
+              eligible,
+              deficit,
+              pendingRewards: playerRecord?.pendingRewards || 0,
+              totalEarned: playerRecord?.totalEarned || 0,
+              totalClaimed: playerRecord?.totalClaimed || 0,
+              message: eligible 
+                  ? `✅ Eligible! You hold ${chumBalance.toLocaleString()} $CHUM`
+                  : `❌ Need ${deficit.toLocaleString()} more $CHUM`
+          });
+      } catch (error) {
+          if (error.code === 'BALANCE_UNAVAILABLE') return sendBalanceUnavailable(res, error);
+          req.log.error('Balance check failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Verify eligibility
+  app.post('/api/verify-eligibility', rateLimit('balance'), validate({ body: { playerWallet: WALLET } }), async (req, res) => {
+      try {
+          const { playerWallet } = req.body;
+          const chumBalance = await getChumBalance(playerWallet);
+          
+          if (chumBalance < MIN_HOLD_REQUIREMENT) {
+              return res.json({
+                  eligible: false,
+                  balance: chumBalance,
+                  required: MIN_HOLD_REQUIREMENT,
+                  deficit: MIN_HOLD_REQUIREMENT - chumBalance,
+                  message: chumBalance === 0 ? 'No $CHUM tokens found.' : `Need ${(MIN_HOLD_REQUIREMENT - chumBalance).toLocaleString()} more $CHUM`
+              });
+          }
+          
+          const playerRecord = await getOrCreatePlayerRecord(playerWallet);
+          playerRecord.balance = chumBalance;
+          playerRecord.verifiedAt = clock.now();
+          await savePlayerRecord(playerWallet, playerRecord);
+          
+          res.json({
+              eligible: true,
+              balance: chumBalance,
+              required: MIN_HOLD_REQUIREMENT,
+              pendingRewards: playerRecord.pendingRewards,
+              totalEarned: playerRecord.totalEarned,
+              totalClaimed: playerRecord.totalClaimed,
+              message: `✅ Verified! You hold ${chumBalance.toLocaleString()} $CHUM`
+          });
+      } catch (error) {
+          if (error.code === 'BALANCE_UNAVAILABLE') return sendBalanceUnavailable(res, error);
+          req.log.error('Eligibility check failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Start a game — issues a signed, single-use session that record-game must present
+  app.post('/api/game/start', walletAuth, rateLimit('scores'), validate({ body: { playerWallet: WALLET, tournamentId: TOURNAMENT_ID } }), rejectBanned, async (req, res) => {
+      try {
+          const { playerWallet, tournamentId } = req.body;
+          // Bind to every open tournament the player is registered for (or just the requested one);
+          // with none it's a practice run
+          let boundTournaments = Array.from(activeTournaments.values())
+              .filter(t => isTournamentOpen(t) && t.registrations[playerWallet] && !t.disqualified?.[playerWallet]);
+          if (tournamentId) {
+              boundTournaments = boundTournaments.filter(t => t.id === tournamentId);
+              if (boundTournaments.length === 0) {
+                  return sendError(res, 400, 'NOT_REGISTERED', 'Not registered for that tournament, or it is not running');
+              }
+          }
+
+          const session = await createGameSession(playerWallet, boundTournaments.map(t => t.id));
+
+          res.json({
+              success: true,
+              sessionId: session.sessionId,
+              sessionToken: session.signature,
+              tournamentIds: session.tournamentIds,
+              startedAt: session.startedAt,
+              expiresAt: session.expiresAt
+          });
+      } catch (error) {
+          req.log.error('Game start failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Record game results (tournament-only P2E model)
+  app.post('/api/record-game', walletAuth, rateLimit('scores'), validate({
+      body: {
+          playerWallet: WALLET,
+          points: { type: 'integer', required: true, min: 0 },
+          finalScore: { type: 'integer', min: 0 },
+          sessionId: { type: 'string', maxLength: 100 },
+          sessionToken: { type: 'string', maxLength: 200 }
+      }
+  }), rejectBanned, async (req, res) => {
+      try {
+          const { playerWallet, points, finalScore, sessionId, sessionToken } = req.body;
+          if (!sessionId || !sessionToken) {
+              return sendError(res, 400, 'SESSION_REQUIRED', 'Start a game with /api/game/start first');
+          }
+
+          const { session, error, message } = consumeGameSession(await loadGameSession(sessionId), playerWallet, sessionToken);
+          if (error) return sendError(res, 409, error, message);
+
+          const score = finalScore || points;
+          const elapsedMs = clock.now() - session.startedAt;
+          const implausible = checkScorePlausibility(score, elapsedMs);
+          if (implausible) {
+              req.log.warn('Score rejected', { wallet: playerWallet, sessionId, score, elapsedMs, reason: implausible });
+              return sendError(res, 422, 'IMPLAUSIBLE_SCORE', implausible, { sessionId });
+          }
+
+          // Always update player stats (practice or tournament)
+          const playerRecord = await getOrCreatePlayerRecord(playerWallet);
+          playerRecord.gamesPlayed += 1;
+          playerRecord.lastGameAt = clock.now();
+
+          // Record to every tournament this session was started for that is still running
+          const sessionTournaments = session.tournamentIds || (session.tournamentId ? [session.tournamentId] : []);
+          const tournamentResults = [];
+          for (const tournamentId of sessionTournaments) {
+              const tournament = activeTournaments.get(tournamentId);
+              if (!tournament) continue;
+              const recorded = await recordTournamentScore(tournament, playerWallet, score);
+              const entry = tournament.scores[playerWallet];
+              tournamentResults.push({
+                  tournamentId,
+                  tournamentName: tournament.name,
+                  scoringFormat: tournament.scoringFormat,
+                  recorded,
+                  score: entry ? rankingScore(entry) : 0,
+                  bestScore: entry?.bestScore || 0,
+                  gamesPlayed: entry?.gamesPlayed || 0
+              });
+              if (recorded) {
+                  req.log.info('Tournament score recorded', { wallet: playerWallet, tournamentId: tournament.id, points: score, rankingScore: rankingScore(entry) });
+              }
+          }
+          const recordedIn = tournamentResults.filter(t => t.recorded);
+          // Summary fields mirror the main event (or the first tournament recorded to) for older clients
+          const mainTournament = defaultTournament();
+          const main = recordedIn.find(t => t.tournamentId === mainTournament?.id) || recordedIn[0];
+
+          await savePlayerRecord(playerWallet, playerRecord);
+          gamesRecorded.inc({ mode: recordedIn.length ? 'tournament' : 'practice' });
+
+          req.log.info('Game recorded', { wallet: playerWallet, sessionId, points: score, tournamentIds: recordedIn.map(t => t.tournamentId) });
+
+          res.json({
+              success: true,
+              sessionId,
+              points: score,
+              gamesPlayed: playerRecord.gamesPlayed,
+              // Tournament info
+              tournaments: tournamentResults,
+              tournamentActive: isTournamentOpen(mainTournament),
+              tournamentRegistered: !!(mainTournament?.registrations?.[playerWallet]),
+              tournamentScoreRecorded: recordedIn.length > 0,
+              tournamentBestScore: main?.bestScore || 0,
+              tournamentGamesPlayed: main?.gamesPlayed || 0,
+              // Existing rewards (from past tournaments)
+              pendingRewards: parseFloat((playerRecord.pendingRewards || 0).toFixed(4)),
+              totalEarned: parseFloat((playerRecord.totalEarned || 0).toFixed(4)),
+              totalClaimed: parseFloat((playerRecord.totalClaimed || 0).toFixed(4)),
+              message: recordedIn.length
+                  ? `🏆 Tournament score: ${score} pts! Recorded in ${recordedIn.map(t => t.tournamentName).join(', ')}`
+                  : `🎮 Practice score: ${score} pts`
+          });
+      } catch (error) {
+          req.log.error('Record game failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // ===== CLAIM REWARDS - Builds real SPL transaction for player to sign =====
+  app.post('/api/claim-rewards', walletAuth, rateLimit('claims'), validate({
+      body: { playerWallet: WALLET, claimAmount: { type: 'number', min: 0 } }
+  }), rejectBanned, countClaimFailures('build'), async (req, res) => {
+      const { playerWallet, claimAmount } = req.body;
+      if (claimingWallets.has(playerWallet)) {
+          return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'Another claim for this wallet is being processed — try again in a moment');
+      }
+      claimingWallets.add(playerWallet);
+
+      try {
+          // Check authority is loaded
+          if (!authority) {
+              return sendError(res, 503, 'AUTHORITY_NOT_CONFIGURED', 'Server reward authority not configured. Contact admin.');
+          }
+
+          // Check player has pending rewards
+          const playerRecord = await loadPlayerRecord(playerWallet);
+          if (!playerRecord || playerRecord.pendingRewards <= 0) {
+              return sendError(res, 409, 'NO_PENDING_REWARDS', 'No pending rewards to claim', { pendingRewards: 0 });
+          }
+
+          // Verify player still holds enough $CHUM (never from cache — tokens may have just been sold)
+          const chumBalance = await getChumBalance(playerWallet, { fresh: true });
+          if (chumBalance < MIN_HOLD_REQUIREMENT) {
+              return sendError(res, 403, 'INSUFFICIENT_BALANCE', `Need at least ${MIN_HOLD_REQUIREMENT.toLocaleString()} $CHUM to claim rewards`, {
+                  balance: chumBalance,
+                  required: MIN_HOLD_REQUIREMENT
+              });
+          }
+
+          // A co-signed claim could still land — don't build a second transfer for the same rewards
+          pruneClaimCache();
+          const unsettled = await findUnsettledClaim(playerRecord);
+          if (unsettled) {
+              return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'A previous claim has not been confirmed yet. Confirm it or try again in a few minutes.', {
+                  claimId: unsettled.claimId,
+                  signature: unsettled.expectedSignature
+              });
+          }
+
+          // Determine claim amount
+          const amountToClaim = (claimAmount > 0 && claimAmount <= playerRecord.pendingRewards)
+              ? claimAmount
+              : playerRecord.pendingRewards;
+
+          const mint = new PublicKey(CHUM_MINT);
+          const playerPubkey = new PublicKey(playerWallet);
+
+          // Find authority's actual token account (handles pump.fun non-standard ATAs)
+          const vaultAccount = await findTokenAccount(authority.publicKey.toString(), CHUM_MINT);
+          
+          if (!vaultAccount) {
+              return sendError(res, 503, 'VAULT_NOT_FUNDED', 'Reward vault has no $CHUM tokens. Admin needs to fund it.', {
+                  authorityWallet: authority.publicKey.toString()
+              });
+          }
+
+          const decimals = vaultAccount.decimals;
+          const rawAmount = BigInt(Math.floor(amountToClaim * Math.pow(10, decimals)));
+
+          req.log.debug('Building claim transaction', {
+              wallet: playerWallet,
+              amount: amountToClaim,
+              rawAmount,
+              decimals,
+              vaultAccount: vaultAccount.address,
+              vaultRawBalance: vaultAccount.rawBalance,
+              tokenProgram: vaultAccount.programId
+          });
+
+          if (vaultAccount.rawBalance < rawAmount) {
+              return sendError(res, 503, 'VAULT_INSUFFICIENT', `Vault only has ${vaultAccount.balance.toFixed(4)} $CHUM, need ${amountToClaim.toFixed(4)}`, {
+                  vaultBalance: vaultAccount.balance
+              });
+          }
+
+          // Get or create player's ATA (destination) - use same token program as source
+          const playerAta = await getAssociatedTokenAddress(
+              mint, 
+              playerPubkey, 
+              false,
+              vaultAccount.programId  // Use same token program as the vault
+          );
+
+          // Build transaction
+          const transaction = new Transaction();
+
+          // Check if player ATA exists, if not add create instruction
+          let createsAta = false;
+          try {
+              await getAccount(connection, playerAta, 'confirmed', vaultAccount.programId);
+          } catch (e) {
+              // An RPC failure must not be mistaken for a missing account
+              if (e.name !== 'TokenAccountNotFoundError') throw e;
+              createsAta = true;
+              // ATA doesn't exist, need to create it
+              req.log.debug('Claim creates the player token account', { wallet: playerWallet, playerAta });
+              transaction.add(
+                  createAssociatedTokenAccountInstruction(
+                      playerPubkey,          // payer (player pays for their own ATA)
+                      playerAta,             // ata address
+                      playerPubkey,          // owner
+                      mint,                  // mint
+                      vaultAccount.programId // token program
+                  )
+              );
+          }
+
+          // Add the SPL token transfer instruction
+          transaction.add(
+              createTransferInstruction(
+                  vaultAccount.address,    // source (authority's actual token account)
+                  playerAta,               // destination (player's token account)
+                  authority.publicKey,     // owner of source (authority signs)
+                  rawAmount,               // amount in raw units
+                  [],                      // no multisig
+                  vaultAccount.programId   // use same token program as source
+              )
+          );
+
+          // Get recent blockhash
+          const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+          transaction.recentBlockhash = blockhash;
+          transaction.lastValidBlockHeight = lastValidBlockHeight;
+          transaction.feePayer = playerPubkey; // Player pays gas
+
+          // DO NOT sign here — Phantom must sign FIRST, then authority co-signs after
+          // This is the signing order Phantom's Lighthouse security requires
+
+          // Serialize the transaction unsigned
+          const serializedTx = transaction.serialize({
+              requireAllSignatures: false,
+              verifySignatures: false
+          }).toString('base64');
+
+          const claimId = `claim_${clock.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+          // Remember exactly what we built so /api/cosign-claim only signs this transfer
+          if (!await supersedeActiveClaim(playerRecord)) {
+              return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'A previous claim was just co-signed. Confirm it or try again in a few minutes.');
+          }
+          await saveClaimRecord({
+              claimId,
+              wallet: playerWallet,
+              amount: amountToClaim,
+              rawAmount: rawAmount.toString(),
+              source: vaultAccount.address.toString(),
+              destination: playerAta.toString(),
+              tokenProgram: vaultAccount.programId.toString(),
+              feePayer: playerWallet,
+              createsAta,
+              blockhash,
+              lastValidBlockHeight,
+              status: 'built',
+              createdAt: clock.now(),
+              expiresAt: clock.now() + CLAIM_TTL_MS
+          });
+          playerRecord.activeClaimId = claimId;
+          await savePlayerRecord(playerWallet, playerRecord);
+          await appendAudit({
+              type: 'claim.built',
+              actor: `player:${playerWallet}`,
+              wallet: playerWallet,
+              details: { claimId, amount: amountToClaim, rawAmount: rawAmount.toString(), destination: playerAta.toString(), blockhash }
+          });
+
+          // DON'T update records yet - wait for /api/confirm-claim after tx confirms
+          req.log = req.log.child({ claimId });
+          req.log.info('Claim transaction built', { wallet: playerWallet, amount: amountToClaim, createsAta });
+
+          res.json({
+              success: true,
+              claimId,
+              claimAmount: parseFloat(amountToClaim.toFixed(4)),
+              transaction: serializedTx,
+              blockhash,
+              lastValidBlockHeight,
+              message: `Sign the transaction to claim ${amountToClaim.toFixed(4)} $CHUM`
+          });
+      } catch (error) {
+          if (error.code === 'BALANCE_UNAVAILABLE') return sendBalanceUnavailable(res, error);
+          req.log.error('Claim build failed', { wallet: playerWallet, err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      } finally {
+          claimingWallets.delete(playerWallet);
+      }
+  });
+
+  // ===== CO-SIGN CLAIM - Player signed first, now authority adds signature =====
+  app.post('/api/cosign-claim', rateLimit('claims'), validate({
+      body: {
+          // A legacy transaction is at most 1232 bytes
+          signedTransaction: { type: 'string', required: true, maxLength: 1700, pattern: /^[A-Za-z0-9+/]+=*$/, patternMessage: 'must be base64' },
+          claimId: { type: 'string', required: true, maxLength: 100 }
+      }
+  }), countClaimFailures('cosign'), async (req, res) => {
+      const { signedTransaction, claimId } = req.body;
+      req.log = req.log.child({ claimId });
+      let lockedWallet = null;
+
+      try {
+          if (!authority) {
+              return sendError(res, 503, 'AUTHORITY_NOT_CONFIGURED', 'Server reward authority not configured. Contact admin.');
+          }
+
+          const claim = await loadClaimRecord(claimId);
+          if (!claim || claim.status === 'superseded') {
+              return sendError(res, 404, 'CLAIM_NOT_FOUND', 'Unknown or replaced claim — request a new one');
+          }
+          if (claim.expiresAt < clock.now()) {
+              return sendError(res, 410, 'CLAIM_EXPIRED', 'Claim expired — request a new one');
+          }
+          if (claimingWallets.has(claim.wallet)) {
+              return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'Another claim for this wallet is being processed — try again in a moment');
+          }
+          lockedWallet = claim.wallet;
+          claimingWallets.add(lockedWallet);
+
+          const playerRecord = await loadPlayerRecord(claim.wallet);
+          if (playerRecord?.banned) {
+              return sendError(res, 403, 'WALLET_BANNED', 'This wallet is banned');
+          }
+
+          // Deserialize the player-signed transaction
+          let transaction;
+          try {
+              transaction = Transaction.from(Buffer.from(signedTransaction, 'base64'));
+          } catch (e) {
+              return sendError(res, 400, 'INVALID_CLAIM_TRANSACTION', 'signedTransaction is not a serialized transaction');
+          }
+          const messageHash = crypto.createHash('sha256').update(transaction.serializeMessage()).digest('hex');
+
+          // A claim is co-signed once; re-sending the identical transaction is fine, anything else is not
+          if (claim.status === 'confirmed') {
+              return sendError(res, 409, 'CLAIM_ALREADY_CONFIRMED', 'This claim was already paid out');
+          }
+          if (claim.status === 'cosigned' && claim.messageHash !== messageHash) {
+              return sendError(res, 409, 'CLAIM_ALREADY_COSIGNED', 'This claim was already co-signed');
+          }
+          // Only the wallet's newest claim can be co-signed, and never while another transfer is in flight
+          if (playerRecord?.activeClaimId !== claim.claimId || (claim.status !== 'built' && claim.status !== 'cosigned')) {
+              return sendError(res, 404, 'CLAIM_NOT_FOUND', 'Unknown or replaced claim — request a new one');
+          }
+          const other = await findOtherUnsettledClaim(claim);
+          if (other) {
+              return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'A previous claim has not been confirmed yet. Confirm it or try again in a few minutes.', {
+                  claimId: other.claimId,
+                  signature: other.expectedSignature
+              });
+          }
+
+          const invalid = validateClaimTransaction(transaction, claim);
+          if (invalid) {
+              req.log.warn('Refused to co-sign claim', { wallet: claim.wallet, reason: invalid });
+              return sendError(res, 400, 'INVALID_CLAIM_TRANSACTION', invalid);
+          }
+
+          // Authority co-signs AFTER Phantom (correct order per Phantom Lighthouse)
+          transaction.partialSign(authority);
+
+          // Serialize the fully-signed transaction
+          const fullySigned = transaction.serialize().toString('base64');
+
+          if (claim.status === 'built') {
+              const cosigned = await transitionClaim(claim, {
+                  status: 'cosigned',
+                  messageHash,
+                  expectedSignature: bs58.encode(transaction.signature),
+                  cosignedAt: clock.now()
+              });
+              // Superseded, expired or co-signed elsewhere since we read it
+              if (!cosigned) {
+                  return sendError(res, 404, 'CLAIM_NOT_FOUND', 'Unknown or replaced claim — request a new one');
+              }
+              await appendAudit({
+                  type: 'claim.cosigned',
+                  actor: `player:${claim.wallet}`,
+                  wallet: claim.wallet,
+                  details: { claimId, amount: claim.amount, expectedSignature: claim.expectedSignature }
+              });
+              req.log.info('Claim co-signed', { wallet: claim.wallet, amount: claim.amount, expectedSignature: claim.expectedSignature });
+          }
+
+          res.json({
+              success: true,
+              claimId,
+              transaction: fullySigned
+          });
+      } catch (error) {
+          req.log.error('Claim co-sign failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      } finally {
+          if (lockedWallet) claimingWallets.delete(lockedWallet);
+      }
+  });
+
+  // ===== CONFIRM CLAIM - Called after player signs & submits TX =====
+  app.post('/api/confirm-claim', walletAuth, rateLimit('claims'), validate({
+      body: {
+          playerWallet: WALLET,
+          claimId: { type: 'string', required: true, maxLength: 100 },
+          signature: { type: 'string', required: true, pattern: /^[1-9A-HJ-NP-Za-km-z]{64,90}$/, patternMessage: 'must be a base58 transaction signature' }
+      }
+  }), countClaimFailures('confirm'), async (req, res) => {
+      const { playerWallet, claimId, signature } = req.body;
+      req.log = req.log.child({ claimId });
+
+      // Reserve the signature so two concurrent confirms can't both settle it
+      if (confirmingSignatures.has(signature)) {
+          return sendError(res, 409, 'CONFIRM_IN_PROGRESS', 'This signature is already being confirmed');
+      }
+      confirmingSignatures.add(signature);
+
+      try {
+          req.log.info('Confirming claim', { wallet: playerWallet, signature });
+
+          const claim = await loadClaimRecord(claimId);
+          if (!claim || claim.wallet !== playerWallet) {
+              return sendError(res, 404, 'CLAIM_NOT_FOUND', 'Unknown claim for this wallet');
+          }
+          if (claim.status === 'confirmed') {
+              return sendError(res, 409, 'CLAIM_ALREADY_CONFIRMED', 'This claim was already confirmed', { claimId, signature: claim.signature });
+          }
+          if (claim.payoutId) {
+              return sendError(res, 409, 'CLAIM_PAID_BY_PAYOUT', 'This prize is being paid out by the server — no need to confirm it', { claimId });
+          }
+          if (claim.status !== 'cosigned' && claim.status !== 'expired') {
+              return sendError(res, 400, 'CLAIM_NOT_COSIGNED', 'Claim was never co-signed');
+          }
+          if (signature !== claim.expectedSignature) {
+              return sendError(res, 400, 'SIGNATURE_MISMATCH', 'Signature is not the co-signed claim transaction');
+          }
+
+          const used = await loadClaimSignature(signature);
+          if (used) {
+              return sendError(res, 409, 'SIGNATURE_ALREADY_USED', 'This transaction already settled a claim');
+          }
+
+          // Verify the exact claim amount moved from the vault to the player on-chain
+          const verification = await verifyClaimOnChain(signature, [claim]);
+          if (!verification.confirmed) {
+              if (verification.pending) {
+                  return sendError(res, 409, 'TX_NOT_CONFIRMED', 'Transaction not confirmed yet. It may still be processing — check your wallet.', { signature });
+              }
+              req.log.warn('Claim verification failed', { wallet: playerWallet, signature, reason: verification.reason });
+              return sendError(res, 400, 'CLAIM_VERIFICATION_FAILED', verification.reason, { signature });
+          }
+
+          // Transaction confirmed! Record the signature and settle the player's balances
+          const settled = await settleClaims([claim], signature, { claimId, wallet: playerWallet }, `player:${playerWallet}`);
+          if (!settled) {
+              return sendError(res, 409, 'SIGNATURE_ALREADY_USED', 'This transaction already settled a claim');
+          }
+
+          const amount = claim.amount;
+          const playerRecord = await loadPlayerRecord(playerWallet);
+
+          req.log.info('Claim confirmed', { wallet: playerWallet, amount, signature });
+
+          res.json({
+              success: true,
+              claimId,
+              signature,
+              claimAmount: parseFloat(amount.toFixed(4)),
+              remainingPending: parseFloat((playerRecord?.pendingRewards || 0).toFixed(4)),
+              totalClaimed: parseFloat((playerRecord?.totalClaimed || 0).toFixed(4)),
+              totalEarned: parseFloat((playerRecord?.totalEarned || 0).toFixed(4)),
+              explorerUrl: `https://solscan.io/tx/${signature}`,
+              message: `🎉 Successfully claimed! View on Solscan: https://solscan.io/tx/${signature}`
+          });
+      } catch (error) {
+          req.log.error('Claim confirm failed', { wallet: playerWallet, signature, err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      } finally {
+          confirmingSignatures.delete(signature);
+      }
+  });
+
+  // Player stats
+  app.get('/api/player/:wallet', validate({ params: { wallet: WALLET } }), async (req, res) => {
+      try {
+          const wallet = req.params.wallet;
+          const record = await loadPlayerRecord(wallet);
+          if (!record) return sendError(res, 404, 'PLAYER_NOT_FOUND', 'No record for this wallet');
+          const recentGames = record.earnHistory.slice(-10).reverse().map(entry => ({
+              sessionId: entry.sessionId, points: entry.points,
+              chumEarned: parseFloat(entry.chumEarned.toFixed(4)),
+              timestamp: entry.timestamp, claimed: entry.claimed,
+              signature: entry.signature || null
+          }));
+          res.json({
+              wallet: record.wallet, balance: record.balance,
+              totalEarned: parseFloat(record.totalEarned.toFixed(4)),
+              totalClaimed: parseFloat(record.totalClaimed.toFixed(4)),
+              pendingRewards: parseFloat(record.pendingRewards.toFixed(4)),
+              gamesPlayed: record.gamesPlayed, lastGameAt: record.lastGameAt,
+              lastClaimAt: record.lastClaimAt, recentGames,
+              profile: publicProfile(wallet)
+          });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Leaderboard
+  app.get('/api/leaderboard', validate({ query: { limit: { type: 'integer', min: 1, max: 100, default: 10 } } }), (req, res) => {
+      try {
+          const { limit } = req.query;
+          const leaderboard = Array.from(playerRecords.values())
+              .filter(p => p.totalEarned > 0 && !p.banned)
+              .sort((a, b) => b.totalEarned - a.totalEarned)
+              .slice(0, limit)
+              .map((p, index) => ({
+                  rank: index + 1,
+                  wallet: `${p.wallet.slice(0, 4)}...${p.wallet.slice(-4)}`,
+                  totalEarned: parseFloat(p.totalEarned.toFixed(4)),
+                  gamesPlayed: p.gamesPlayed,
+                  profile: publicProfile(p.wallet)
+              }));
+          res.json({ leaderboard, totalPlayers: playerRecords.size });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // ===== PLAYER PROFILES =====
+  // A display name and an avatar (an https URL or an NFT the wallet holds), kept on the player record under
+  // `profile`. Like sign-in, an update is a nonce plus a wallet signature, over a message spelling out the
+  // exact profile. profileNames/{key} -> wallet reserves each name, so two wallets can't take it at once.
+
+  // Outstanding profile updates: nonce -> { wallet, message, profile, expiresAt }
+  const profileNonces = new Map();
+
+  // What leaderboards and results show next to a wallet (null when it has no profile)
+  function publicProfile(wallet) {
+      const profile = playerRecords.get(wallet)?.profile;
+      if (!profile || (!profile.displayName && !profile.avatarUrl && !profile.avatarNft)) return null;
+      return { displayName: profile.displayName || null, avatarUrl: profile.avatarUrl || null, avatarNft: profile.avatarNft || null };
+  }
+
+  // Stored results keep wallets only; profiles are added when they are served, so renames show up
+  function withWinnerProfiles(results) {
+      return { ...results, winners: results.winners.map(winner => ({ ...winner, profile: publicProfile(winner.wallet) })) };
+  }
+
+  function checkAvatarUrl(avatarUrl) {
+      let url;
+      try {
+          url = new URL(avatarUrl);
+      } catch (e) {
+          return 'avatarUrl is not a valid URL';
+      }
+      if (url.protocol !== 'https:') return 'avatarUrl must be an https URL';
+      if (url.username || url.password) return 'avatarUrl must not contain credentials';
+      return null;
+  }
+
+  // An NFT is a zero-decimal token with a supply of one, so holding it means an account with amount 1
+  async function ownsNft(wallet, mint) {
+      const accounts = await connection.getParsedTokenAccountsByOwner(new PublicKey(wallet), { mint: new PublicKey(mint) });
+      return accounts.value.some(({ account }) => {
+          const amount = account.data.parsed?.info?.tokenAmount;
+          return amount?.decimals === 0 && amount.amount === '1';
+      });
+  }
+
+  function buildProfileMessage(wallet, profile, nonce, issuedAt, expiresAt) {
+      const avatar = profile.avatarUrl || (profile.avatarNft ? `NFT ${profile.avatarNft}` : '(none)');
+      return [
+          'BullShark Feeding Frenzy wants you to update the profile of your Solana account:',
+          wallet,
+          '',
+          `Display name: ${profile.displayName || '(none)'}`,
+          `Avatar: ${avatar}`,
+          '',
+          'This request will not trigger a blockchain transaction or cost any fees.',
+          '',
+          `Nonce: ${nonce}`,
+          `Issued At: ${new Date(issuedAt).toISOString()}`,
+          `Expiration Time: ${new Date(expiresAt).toISOString()}`
+      ].join('\n');
+  }
+
+  // True when the name is now this wallet's (free, or already held by it)
+  async function reserveProfileName(key, wallet) {
+      if (await storage.compareAndSet(`profileNames/${key}`, null, wallet)) return true;
+      return (await storage.get(`profileNames/${key}`)) === wallet;
+  }
+
+  async function releaseProfileName(key, wallet) {
+      await storage.compareAndSet(`profileNames/${key}`, wallet, null);
+  }
+
+  function sendProfileLocked(res, record) {
+      return sendError(res, 403, 'PROFILE_LOCKED', `Your profile was locked by a moderator: ${record.profile.locked.reason}`);
+  }
+
+  // Step 1: describe the whole new profile and get the message to sign. Leaving out displayName or
+  // the avatar removes it.
+  app.post('/api/profile/nonce', rateLimit('profile'), validate({
+      body: {
+          playerWallet: WALLET,
+          displayName: { type: 'string', maxLength: 40 },
+          avatarUrl: { type: 'string', maxLength: 300 },
+          avatarNft: { type: 'string', pattern: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/, patternMessage: 'must be a mint address' }
+      }
+  }), rejectBanned, async (req, res) => {
+      try {
+          const { playerWallet, displayName, avatarUrl, avatarNft } = req.body;
+          const record = await loadPlayerRecord(playerWallet);
+          if (record?.profile?.locked) return sendProfileLocked(res, record);
+
+          if (avatarUrl && avatarNft) {
+              return sendError(res, 400, 'INVALID_AVATAR', 'Pass avatarUrl or avatarNft, not both');
+          }
+          const invalidAvatar = avatarUrl ? checkAvatarUrl(avatarUrl) : null;
+          if (invalidAvatar) return sendError(res, 400, 'INVALID_AVATAR', invalidAvatar);
+
+          let name = null;
+          if (displayName !== undefined) {
+              name = checkDisplayName(displayName, { blockedWords: PROFILE_BLOCKED_WORDS });
+              if (name.code) return sendError(res, name.code === 'INVALID_DISPLAY_NAME' ? 400 : 422, name.code, name.problem);
+              const holder = await storageLoad(`profileNames/${name.key}`);
+              if (holder && holder !== playerWallet) {
+                  return sendError(res, 409, 'DISPLAY_NAME_TAKEN', 'Another player already uses this display name');
+              }
+          }
+
+          // Drop expired nonces so the map can't grow unbounded
+          const now = clock.now();
+          for (const [pendingNonce, entry] of profileNonces) {
+              if (entry.expiresAt < now) profileNonces.delete(pendingNonce);
+          }
+
+          const profile = {
+              displayName: name ? name.displayName : null,
+              displayNameKey: name ? name.key : null,
+              avatarUrl: avatarUrl || null,
+              avatarNft: avatarNft || null
+          };
+          const nonce = crypto.randomBytes(16).toString('hex');
+          const expiresAt = now + AUTH_NONCE_TTL_MS;
+          const message = buildProfileMessage(playerWallet, profile, nonce, now, expiresAt);
+          profileNonces.set(nonce, { wallet: playerWallet, message, profile, expiresAt });
+          res.json({ success: true, nonce, message, expiresAt });
+      } catch (error) {
+          req.log.error('Profile nonce failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Step 2: submit the signed message; the profile it describes replaces the current one
+  app.post('/api/profile', rateLimit('profile'), validate({
+      body: {
+          playerWallet: WALLET,
+          nonce: { type: 'string', required: true, maxLength: 64 },
+          signature: { type: 'string', required: true, maxLength: 128 }
+      }
+  }), rejectBanned, async (req, res) => {
+      const { playerWallet, nonce, signature } = req.body;
+
+      const pending = profileNonces.get(nonce);
+      // Nonces are single-use, whether or not the signature checks out
+      profileNonces.delete(nonce);
+
+      if (!pending || pending.wallet !== playerWallet || pending.expiresAt < clock.now()) {
+          return sendError(res, 401, 'INVALID_NONCE', 'Nonce expired or unknown — request a new one');
+      }
+      if (!verifyWalletSignature(playerWallet, pending.message, signature)) {
+          return sendError(res, 401, 'INVALID_SIGNATURE', 'Signature does not match wallet');
+      }
+
+      try {
+          const record = await getOrCreatePlayerRecord(playerWallet);
+          if (record.profile?.locked) return sendProfileLocked(res, record);
+
+          const { profile } = pending;
+          if (profile.avatarNft) {
+              let owned;
+              try {
+                  owned = await ownsNft(playerWallet, profile.avatarNft);
+              } catch (error) {
+                  req.log.warn('NFT ownership check failed', { wallet: playerWallet, mint: profile.avatarNft, error: error.message });
+                  return sendError(res, 503, 'NFT_CHECK_FAILED', 'Could not check NFT ownership right now — please try again shortly');
+              }
+              if (!owned) return sendError(res, 403, 'NFT_NOT_OWNED', 'This wallet does not hold that NFT');
+          }
+          if (profile.displayNameKey && !(await reserveProfileName(profile.displayNameKey, playerWallet))) {
+              return sendError(res, 409, 'DISPLAY_NAME_TAKEN', 'Another player already uses this display name');
+          }
+
+          const before = publicProfile(playerWallet);
+          const previousKey = record.profile?.displayNameKey || null;
+          record.profile = { ...profile, message: pending.message, signature, updatedAt: clock.now(), locked: null };
+          await savePlayerRecord(playerWallet, record);
+          if (previousKey && previousKey !== profile.displayNameKey) await releaseProfileName(previousKey, playerWallet);
+          await appendAudit({ type: 'profile.updated', actor: `player:${playerWallet}`, wallet: playerWallet, before, after: publicProfile(playerWallet) });
+
+          req.log.info('Profile updated', { wallet: playerWallet, displayName: profile.displayName, avatarNft: profile.avatarNft });
+          res.json({ success: true, wallet: playerWallet, profile: publicProfile(playerWallet) });
+      } catch (error) {
+          req.log.error('Profile update failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  app.get('/api/profile/:wallet', validate({ params: { wallet: WALLET } }), async (req, res) => {
+      try {
+          await loadPlayerRecord(req.params.wallet);
+          const profile = publicProfile(req.params.wallet);
+          if (!profile) return sendError(res, 404, 'PROFILE_NOT_FOUND', 'This wallet has no profile');
+          res.json({ wallet: req.params.wallet, profile });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // ===== TOURNAMENT SYSTEM =====
+
+  // Running tournaments keyed by ID (cached in memory, persisted at tournaments/active/{id}).
+  // Several can run at once, e.g. a daily sprint next to the weekly main event.
+  const activeTournaments = new Map();
+
+  // Default prize scheme for a 769,230 $CHUM weekly pool (80M / 104 weeks).
+  // Percentages are of the pool, roughly: 1st 150,000 · 2nd 80,000 · 3rd 50,000 · 4th 30,000 · 5th 20,000 ·
+  // 6-10th 10,000 each · 11-25th 4,000 each · 26-50th 2,500 each · 51-100th 1,500 each (75.075% total);
+  // up to 24.925% is split evenly among everyone ranked 101st and below, at most ~500 each (0.065%) so the
+  // tail never out-earns the top 100. Whatever the cap leaves unpaid stays in the vault.
+  const DEFAULT_PRIZE_SCHEME = {
+      type: 'percentage',
+      tiers: [
+          { from: 1, to: 1, percent: 19.5 },
+          { from: 2, to: 2, percent: 10.4 },
+          { from: 3, to: 3, percent: 6.5 },
+          { from: 4, to: 4, percent: 3.9 },
+          { from: 5, to: 5, percent: 2.6 },
+          { from: 6, to: 10, percent: 1.3 },
+          { from: 11, to: 25, percent: 0.52 },
+          { from: 26, to: 50, percent: 0.325 },
+          { from: 51, to: 100, percent: 0.195 },
+          { from: 101, to: null, percent: 24.925, split: true, maxPerRank: 0.065 }
+      ]
+  };
+
+  // Scoring formats — how a player's games turn into their ranking score:
+  //   best:        highest single game (default)
+  //   cumulative:  sum of all games
+  //   averageTopN: average of the player's N best games (divided by N, so fewer than N games counts as zeros)
+  const DEFAULT_SCORING_FORMAT = { type: 'best' };
+
+  // Recurring schedules keyed by ID (persisted at tournaments/schedules/{id})
+  const tournamentSchedules = new Map();
+
+  function normalizeTournament(tournament) {
+      if (!tournament.scores) tournament.scores = {};
+      if (!tournament.registrations) tournament.registrations = {};
+      if (!tournament.scoringFormat) tournament.scoringFormat = DEFAULT_SCORING_FORMAT;
+      return tournament;
+  }
+
+  // Load tournament state from storage on startup
+  async function loadTournamentState() {
+      const active = await storageLoad('tournaments/active');
+      for (const tournament of Object.values(active || {})) {
+          if (tournament && tournament.active) activeTournaments.set(tournament.id, normalizeTournament(tournament));
+      }
+
+      // Single-tournament layout (tournaments/current) from before concurrent tournaments
+      const legacy = await storageLoad('tournaments/current');
+      if (legacy && legacy.active) {
+          if (!activeTournaments.has(legacy.id)) {
+              activeTournaments.set(legacy.id, normalizeTournament(legacy));
+              await storageSave(`tournaments/active/${legacy.id}`, legacy);
+          }
+          await storageSave('tournaments/current', { active: false });
+      }
+
+      for (const tournament of activeTournaments.values()) {
+          logger.info('Active tournament loaded', { tournamentId: tournament.id, name: tournament.name, players: Object.keys(tournament.registrations).length });
+      }
+      if (activeTournaments.size === 0) logger.info('No active tournament');
+
+      const schedules = await storageLoad('tournaments/schedules');
+      for (const [scheduleId, schedule] of Object.entries(schedules || {})) {
+          if (schedule && schedule.enabled) tournamentSchedules.set(scheduleId, { ...schedule, id: scheduleId });
+      }
+
+      // Single schedule layout (tournaments/schedule)
+      const legacySchedule = await storageLoad('tournaments/schedule');
+      if (legacySchedule && legacySchedule.enabled) {
+          const migrated = { ...legacySchedule, id: legacySchedule.frequency };
+          if (!tournamentSchedules.has(migrated.id)) {
+              tournamentSchedules.set(migrated.id, migrated);
+              await storageSave(`tournaments/schedules/${migrated.id}`, migrated);
+          }
+          await storageSave('tournaments/schedule', { enabled: false });
+      }
+
+      for (const schedule of tournamentSchedules.values()) {
+          logger.info('Tournament schedule loaded', { scheduleId: schedule.id, frequency: schedule.frequency, nextStartAt: new Date(schedule.nextStartAt) });
+      }
+  }
+
+  async function saveTournament(tournament) {
+      await storageSave(`tournaments/active/${tournament.id}`, tournament);
+  }
+
+  // Accepting registrations and scores right now
+  function isTournamentOpen(tournament) {
+      const now = clock.now();
+      return !!tournament && tournament.active && now >= tournament.startTime && now <= tournament.endTime;
+  }
+
+  // The main event — used by routes called without a tournament ID: biggest pool, then earliest start
+  function defaultTournament() {
+      let main = null;
+      for (const tournament of activeTournaments.values()) {
+          if (!main || tournament.prizePool > main.prizePool ||
+              (tournament.prizePool === main.prizePool && tournament.startTime < main.startTime)) {
+              main = tournament;
+          }
+      }
+      return main;
+  }
+
+  // Tournament addressed by the request (path, query or body), falling back to the main event
+  function resolveTournament(req) {
+      const tournamentId = req.params.tournamentId || req.query.tournamentId || req.body?.tournamentId;
+      if (tournamentId) return activeTournaments.get(tournamentId) || null;
+      return defaultTournament();
+  }
+
+  runEvery(SCHEDULER_INTERVAL_MS, runTournamentScheduler);
+
+  // ===== ADMIN AUTHENTICATION =====
+
+  // Parse ADMIN_CREDENTIALS into name -> { name, scopes, secret, wallet }.
+  // Invalid entries are skipped with a warning rather than taking the whole API down.
+  function loadAdminCredentials(credentialsJson, legacyKey) {
+      const credentials = new Map();
+      let entries = [];
+      if (credentialsJson) {
+          try {
+              entries = JSON.parse(credentialsJson);
+              if (!Array.isArray(entries)) throw new Error('not a list');
+          } catch (e) {
+              logger.error('ADMIN_CREDENTIALS is not a valid JSON list; ignoring it', { error: e.message });
+              entries = [];
+          }
+      }
+      if (legacyKey && !entries.some(entry => entry?.name === 'admin')) {
+          entries.push({ name: 'admin', secret: legacyKey, scopes: ADMIN_SCOPES });
+      }
+
+      for (const entry of entries) {
+          const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+          const scopes = Array.isArray(entry?.scopes) ? entry.scopes : [];
+          const unknown = scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+          const problem = !/^[\w.@-]{1,64}$/.test(name) ? 'name must be 1-64 letters, digits, or . _ @ -'
+              : credentials.has(name) ? 'duplicate name'
+              : scopes.length === 0 ? 'scopes required'
+              : unknown.length ? `unknown scopes ${unknown.join(', ')}`
+              : !entry.secret && !entry.wallet ? 'secret or wallet required'
+              : entry.secret && (typeof entry.secret !== 'string' || entry.secret.length < 16) ? 'secret must be at least 16 characters'
+              : entry.wallet && !isValidSolanaAddress(entry.wallet) ? 'wallet is not a valid address'
+              : null;
+          if (problem) {
+              logger.error('Skipping admin credential', { admin: name || null, problem });
+              continue;
+          }
+          credentials.set(name, { name, scopes, secret: entry.secret || null, wallet: entry.wallet || null });
+      }
+      return credentials;
+  }
+
+  // Seen request nonces: `${admin}:${nonce}` -> when the request's timestamp leaves the window
+  const adminNonces = new Map();
+
+  // What an admin signs, newline-separated: method, path with query, timestamp, nonce, sha256(body) hex.
+  // HMAC credentials send hex HMAC-SHA256(secret, message); wallet credentials send an ed25519 signature (bs58 or base64).
+  function adminSigningMessage(req, timestamp, nonce) {
+      const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+      return [req.method, req.originalUrl, timestamp, nonce, bodyHash].join('\n');
+  }
+
+  function adminSignatureMethod(credential, message, signature) {
+      if (credential.secret && /^[0-9a-f]{64}$/i.test(signature)) {
+          const expected = crypto.createHmac('sha256', credential.secret).update(message).digest();
+          if (crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected)) return 'hmac';
+      }
+      if (credential.wallet && verifyWalletSignature(credential.wallet, message, signature)) return 'wallet';
+      return null;
+  }
+
+  // Returns { admin } or { status, error, message }
+  function authenticateAdminRequest(req) {
+      const name = req.headers['x-admin-id'];
+      const timestamp = req.headers['x-admin-timestamp'];
+      const nonce = req.headers['x-admin-nonce'];
+      const signature = req.headers['x-admin-signature'];
+      if (!name || !timestamp || !nonce || !signature) {
+          return { status: 401, error: 'ADMIN_AUTH_REQUIRED', message: 'Signed admin request required: X-Admin-Id, X-Admin-Timestamp, X-Admin-Nonce and X-Admin-Signature headers' };
+      }
+
+      const now = clock.now();
+      if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > ADMIN_SIGNATURE_WINDOW_MS) {
+          return { status: 401, error: 'STALE_ADMIN_REQUEST', message: `X-Admin-Timestamp must be within ${ADMIN_SIGNATURE_WINDOW_MS / 1000}s of server time (ms since epoch)` };
+      }
+      if (!/^[\w-]{8,128}$/.test(nonce)) {
+          return { status: 401, error: 'INVALID_ADMIN_NONCE', message: 'X-Admin-Nonce must be 8-128 letters, digits, _ or -' };
+      }
+
+      const credential = ADMIN_CREDENTIALS.get(name);
+      const method = credential && adminSignatureMethod(credential, adminSigningMessage(req, timestamp, nonce), signature);
+      if (!method) {
+          return { status: 401, error: 'INVALID_ADMIN_SIGNATURE', message: 'Unknown admin or bad signature' };
+      }
+
+      // Only checked once the signature is good, so unsigned junk can't fill the map
+      for (const [key, expiresAt] of adminNonces) {
+          if (expiresAt < now) adminNonces.delete(key);
+      }
+      const nonceKey = `${name}:${nonce}`;
+      if (adminNonces.has(nonceKey)) {
+          return { status: 401, error: 'ADMIN_REPLAY', message: 'This signed request was already used' };
+      }
+      adminNonces.set(nonceKey, Number(timestamp) + ADMIN_SIGNATURE_WINDOW_MS);
+
+      return { admin: { name, scopes: credential.scopes, method } };
+  }
+
+  // Admin auth middleware. Every admin can read; write routes need their scope.
+  function adminAuth(scope) {
+      const middleware = (req, res, next) => {
+          const result = authenticateAdminRequest(req);
+          if (!result.admin) {
+              return sendError(res, result.status, result.error, result.message);
+          }
+          if (scope !== 'read-only' && !result.admin.scopes.includes(scope)) {
+              return sendError(res, 403, 'INSUFFICIENT_SCOPE', `${result.admin.name} lacks the ${scope} scope`);
+          }
+          req.admin = result.admin;
+          next();
+      };
+      middleware.apiDoc = {
+          security: 'admin',
+          adminScope: scope,
+          errors: ['ADMIN_AUTH_REQUIRED', 'STALE_ADMIN_REQUEST', 'INVALID_ADMIN_NONCE', 'INVALID_ADMIN_SIGNATURE', 'ADMIN_REPLAY', 'INSUFFICIENT_SCOPE']
+      };
+      return middleware;
+  }
+
+  // Who to attribute an admin action to in the audit log
+  function adminActor(req) {
+      return `admin:${req.admin.name}`;
+  }
+
+  // ===== ADMIN ENDPOINTS =====
+
+  app.use('/admin', rateLimit('admin'));
+
+  // Start tournament
+  app.post('/admin/tournament/start', adminAuth('tournament:write'), validate({
+      body: {
+          name: { type: 'string', maxLength: 100 },
+          duration: { type: 'number', min: 0.1, max: 8760 },
+          prizePool: { type: 'number', min: 1 },
+          prizeScheme: { type: 'object' },
+          splitTies: { type: 'boolean' },
+          scoringFormat: { type: 'object' },
+          holdingPolicy: { type: 'object' },
+          allowUnderfunded: { type: 'boolean' }
+      }
+  }), async (req, res) => {
+      try {
+          const { name, duration, prizePool, prizeScheme, splitTies, scoringFormat, holdingPolicy, allowUnderfunded } = req.body;
+
+          // Reject schemes that could ever pay out more than the pool
+          const invalidScheme = validatePrizeScheme(prizeScheme || DEFAULT_PRIZE_SCHEME, prizePool || 769230);
+          if (invalidScheme) {
+              return sendError(res, 400, 'INVALID_PRIZE_SCHEME', invalidScheme);
+          }
+          const invalidFormat = validateScoringFormat(scoringFormat || DEFAULT_SCORING_FORMAT);
+          if (invalidFormat) {
+              return sendError(res, 400, 'INVALID_SCORING_FORMAT', invalidFormat);
+          }
+          const invalidPolicy = validateHoldingPolicy({ ...DEFAULT_HOLDING_POLICY, ...(holdingPolicy || {}) });
+          if (invalidPolicy) {
+              return sendError(res, 400, 'INVALID_HOLDING_POLICY', invalidPolicy);
+          }
+
+          // The vault must cover what's already owed plus the new pool, unless the admin overrides
+          const solvency = await getSolvencyReport({ additionalPool: prizePool || 769230 });
+          if (solvency.status === 'unknown' && allowUnderfunded !== true) {
+              return sendError(res, 503, 'VAULT_BALANCE_UNAVAILABLE', `Cannot check the vault can cover this pool (${solvency.error}) — pass allowUnderfunded: true to start anyway`, { solvency });
+          }
+          if (solvency.shortfall > 0 && allowUnderfunded !== true) {
+              return sendError(res, 409, 'VAULT_UNDERFUNDED', `Vault is ${solvency.shortfall.toLocaleString()} $CHUM short of liabilities including this pool — fund it or pass allowUnderfunded: true`, { solvency });
+          }
+          const underfunded = solvency.status === 'unknown' || solvency.shortfall > 0;
+
+          const tournament = await startTournament({ name, durationHours: duration, prizePool, prizeScheme, splitTies, scoringFormat, holdingPolicy });
+          await appendAudit({
+              type: 'admin.tournament_start',
+              actor: adminActor(req),
+              after: { tournamentId: tournament.id, name: tournament.name, prizePool: tournament.prizePool, endTime: tournament.endTime },
+              details: {
+                  prizeScheme: tournament.prizeScheme,
+                  scoringFormat: tournament.scoringFormat,
+                  holdingPolicy: tournament.holdingPolicy,
+                  ...(underfunded ? { underfundedOverride: { status: solvency.status, vaultBalance: solvency.vaultBalance, shortfall: solvency.shortfall } } : {})
+              }
+          });
+          if (underfunded) {
+              req.log.warn('Tournament started without vault coverage', {
+                  admin: req.admin.name, tournamentId: tournament.id, solvency: solvency.status, shortfall: solvency.shortfall
+              });
+          }
+
+          res.json({
+              success: true,
+              tournament: {
+                  id: tournament.id,
+                  name: tournament.name,
+                  startTime: new Date(tournament.startTime).toISOString(),
+                  endTime: new Date(tournament.endTime).toISOString(),
+                  durationHours: tournament.durationHours,
+                  prizePool: tournament.prizePool,
+                  prizeScheme: tournament.prizeScheme,
+                  splitTies: tournament.splitTies,
+                  scoringFormat: tournament.scoringFormat,
+                  holdingPolicy: tournament.holdingPolicy
+              },
+              activeTournaments: activeTournaments.size,
+              solvency
+          });
+      } catch (error) {
+          req.log.error('Tournament start failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Stop tournament + calculate results
+  app.post('/admin/tournament/stop', adminAuth('tournament:write'), validate({ body: { tournamentId: TOURNAMENT_ID } }), async (req, res) => {
+      try {
+          const { tournamentId } = req.body;
+          if (!tournamentId && activeTournaments.size > 1) {
+              return sendError(res, 400, 'TOURNAMENT_ID_REQUIRED', 'Several tournaments are running — pass tournamentId');
+          }
+          const tournament = tournamentId ? activeTournaments.get(tournamentId) : defaultTournament();
+          if (!tournament) {
+              return sendError(res, 404, 'NO_ACTIVE_TOURNAMENT', 'No such running tournament');
+          }
+
+          const results = await finalizeTournament(tournament, adminActor(req));
+          await appendAudit({
+              type: 'admin.tournament_stop',
+              actor: adminActor(req),
+              details: { tournamentId: tournament.id, totalPlayers: results.totalPlayers, totalDistributed: results.totalDistributed }
+          });
+
+          res.json({
+              success: true,
+              tournamentId: tournament.id,
+              message: 'Tournament ended and prizes awarded to pending rewards',
+              results: withWinnerProfiles(results)
+          });
+      } catch (error) {
+          req.log.error('Tournament stop failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Send a finalized tournament's prizes from the vault (starts the job, or resumes / retries it)
+  app.post('/admin/tournament/payouts', adminAuth('tournament:write'), validate({
+      body: { tournamentId: { ...TOURNAMENT_ID, required: true }, batchSize: { type: 'integer', min: 1, max: 10 } }
+  }), async (req, res) => {
+      try {
+          const { tournamentId, batchSize } = req.body;
+          if (!authority) {
+              return sendError(res, 503, 'AUTHORITY_NOT_CONFIGURED', 'Server reward authority not configured');
+          }
+          if (runningPayouts.has(tournamentId)) {
+              return sendError(res, 409, 'PAYOUT_IN_PROGRESS', 'This payout is already running');
+          }
+
+          let job = await loadPayoutJob(tournamentId);
+          if (!job) {
+              const historyEntry = await storageLoad(`tournaments/history/${tournamentId}`);
+              if (!historyEntry) {
+                  return sendError(res, 404, 'TOURNAMENT_NOT_FOUND', 'No finished tournament with this ID');
+              }
+              job = createPayoutJob(historyEntry, batchSize || PAYOUT_BATCH_SIZE);
+              await savePayoutJob(job);
+          } else if (batchSize) {
+              job.batchSize = batchSize;
+          }
+
+          await appendAudit({ type: 'admin.payout_run', actor: adminActor(req), details: { tournamentId, batchSize: job.batchSize } });
+
+          // Sending and confirming takes a while — poll GET /admin/tournament/payouts/:tournamentId
+          runPayoutJob(job).catch(error => logger.error('Payout job failed', { tournamentId, err: error }));
+
+          res.status(202).json({ success: true, payout: summarizePayoutJob(job) });
+      } catch (error) {
+          req.log.error('Payout start failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  app.get('/admin/tournament/payouts/:tournamentId', adminAuth('read-only'), validate({ params: { tournamentId: TOURNAMENT_ID } }), async (req, res) => {
+      const job = await loadPayoutJob(req.params.tournamentId);
+      if (!job) {
+          return sendError(res, 404, 'PAYOUT_NOT_FOUND', 'No payout for this tournament');
+      }
+      res.json({ success: true, payout: summarizePayoutJob(job), winners: Object.values(job.winners).sort((a, b) => a.rank - b.rank) });
+  });
+
+  // Dry run: payouts for the current standings, with the tournament's scheme or a proposed one
+  app.post('/admin/tournament/preview-payouts', adminAuth('read-only'), validate({
+      body: { tournamentId: TOURNAMENT_ID, prizeScheme: { type: 'object' }, prizePool: { type: 'number', min: 1 } }
+  }), (req, res) => {
+      const tournament = resolveTournament(req);
+      if (!tournament) {
+          return sendError(res, 404, 'NO_ACTIVE_TOURNAMENT', 'No such running tournament');
+      }
+
+      const { prizeScheme, prizePool } = req.body;
+      const pool = prizePool || tournament.prizePool;
+      const scheme = prizeScheme || tournament.prizeScheme || DEFAULT_PRIZE_SCHEME;
+      const invalidScheme = validatePrizeScheme(scheme, pool);
+      if (invalidScheme) {
+          return sendError(res, 400, 'INVALID_PRIZE_SCHEME', invalidScheme);
+      }
+
+      const results = calculateTournamentResults({ ...tournament, prizePool: pool, prizeScheme: scheme });
+      res.json({ success: true, dryRun: true, tournamentId: tournament.id, results: withWinnerProfiles(results) });
+  });
+
+  // Recurring schedules — the scheduler opens the next tournament of each automatically
+  function formatSchedule(schedule) {
+      return { ...schedule, nextStart: new Date(schedule.nextStartAt).toISOString() };
+  }
+
+  app.get('/admin/tournament/schedules', adminAuth('read-only'), (req, res) => {
+      res.json({ schedules: Array.from(tournamentSchedules.values()).map(formatSchedule) });
+  });
+
+  // Creates or replaces the schedule with the given scheduleId (defaults to the frequency, e.g. "weekly")
+  app.post('/admin/tournament/schedules', adminAuth('tournament:write'), validate({
+      body: {
+          scheduleId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,40}$/, patternMessage: 'may only contain letters, digits, - and _ (max 40)' },
+          frequency: { type: 'string', enum: ['daily', 'weekly'] },
+          startDay: { type: 'integer', min: 0, max: 6 },
+          startHour: { type: 'integer', min: 0, max: 23 },
+          durationHours: { type: 'number', min: 0.1 },
+          prizePool: { type: 'number', min: 1 },
+          prizeScheme: { type: 'object' },
+          splitTies: { type: 'boolean' },
+          scoringFormat: { type: 'object' },
+          holdingPolicy: { type: 'object' },
+          name: { type: 'string', maxLength: 100 }
+      }
+  }), async (req, res) => {
+      try {
+          const { scheduleId, frequency, startDay, startHour, durationHours, prizePool, prizeScheme, splitTies, scoringFormat, holdingPolicy, name } = req.body;
+          const schedule = {
+              id: scheduleId || frequency || 'weekly',
+              enabled: true,
+              frequency: frequency || 'weekly',
+              startDay: startDay === undefined ? 1 : startDay,      // weekly only: 0 = Sunday (UTC)
+              startHour: startHour === undefined ? 0 : startHour,   // UTC hour
+              durationHours: durationHours || (frequency === 'daily' ? 24 : 168),
+              prizePool: prizePool || 769230,
+              prizeScheme: prizeScheme || null,
+              splitTies: !!splitTies,
+              scoringFormat: scoringFormat || DEFAULT_SCORING_FORMAT,
+              holdingPolicy: holdingPolicy || null,
+              name: name || null,
+              updatedAt: clock.now()
+          };
+
+          const invalid = validateTournamentSchedule(schedule);
+          if (invalid) return sendError(res, 400, 'INVALID_SCHEDULE', invalid);
+
+          schedule.nextStartAt = nextScheduledStart(schedule, clock.now());
+          const previous = tournamentSchedules.get(schedule.id) || null;
+          tournamentSchedules.set(schedule.id, schedule);
+          await storageSave(`tournaments/schedules/${schedule.id}`, schedule);
+          await appendAudit({ type: 'admin.schedule_set', actor: adminActor(req), before: previous, after: schedule, details: { scheduleId: schedule.id } });
+          req.log.info('Tournament schedule set', {
+              admin: req.admin.name, scheduleId: schedule.id, frequency: schedule.frequency, nextStartAt: new Date(schedule.nextStartAt)
+          });
+
+          res.json({ success: true, schedule: formatSchedule(schedule) });
+      } catch (error) {
+          req.log.error('Tournament schedule failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  app.delete('/admin/tournament/schedules/:scheduleId', adminAuth('tournament:write'), async (req, res) => {
+      const { scheduleId } = req.params;
+      if (!tournamentSchedules.has(scheduleId)) {
+          return sendError(res, 404, 'SCHEDULE_NOT_FOUND', 'No schedule with that ID');
+      }
+      const previous = tournamentSchedules.get(scheduleId);
+      tournamentSchedules.delete(scheduleId);
+      await storageSave(`tournaments/schedules/${scheduleId}`, null);
+      await appendAudit({ type: 'admin.schedule_delete', actor: adminActor(req), before: previous, details: { scheduleId } });
+      req.log.info('Tournament schedule cleared', { admin: req.admin.name, scheduleId });
+      res.json({ success: true, scheduleId, enabled: false });
+  });
+
+  function adminTournamentSummary(tournament) {
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+      return {
+          id: tournament.id,
+          name: tournament.name,
+          startTime: new Date(tournament.startTime).toISOString(),
+          endTime: new Date(tournament.endTime).toISOString(),
+          timeRemainingMs: timeRemaining,
+          timeRemainingHuman: formatTime(timeRemaining),
+          prizePool: tournament.prizePool,
+          scoringFormat: tournament.scoringFormat,
+          scheduleId: tournament.scheduleId || null,
+          registeredPlayers: Object.keys(tournament.registrations).length,
+          playersWithScores: Object.keys(tournament.scores).length,
+          holdingPolicy: holdingPolicyFor(tournament),
+          holdingViolations: tournament.holdingViolations || {},
+          nextSpotCheckAt: tournament.nextSpotCheckAt || null
+      };
+  }
+
+  // Admin tournament status — one tournament with ?tournamentId=, otherwise all running ones
+  app.get('/admin/tournament/status', adminAuth('read-only'), validate({ query: { tournamentId: TOURNAMENT_ID } }), async (req, res) => {
+      if (req.query.tournamentId) {
+          const tournament = activeTournaments.get(req.query.tournamentId);
+          if (!tournament) return res.json({ active: false, message: 'No active tournament with that ID' });
+          return res.json({
+              active: true,
+              tournament: adminTournamentSummary(tournament),
+              topScores: getTopScores(tournament, 20),
+              tieBreak: tieBreakInfo(tournament)
+          });
+      }
+
+      if (activeTournaments.size === 0) {
+          return res.json({ active: false, message: 'No active tournament' });
+      }
+
+      res.json({
+          active: true,
+          tournaments: Array.from(activeTournaments.values()).map(tournament => ({
+              ...adminTournamentSummary(tournament),
+              topScores: getTopScores(tournament, 20),
+              tieBreak: tieBreakInfo(tournament)
+          }))
+      });
+  });
+
+  // Admin: view tournament history
+  app.get('/admin/tournament/history', adminAuth('read-only'), async (req, res) => {
+      try {
+          const history = await storageLoad('tournaments/history');
+          if (!history) return res.json({ tournaments: [] });
+          
+          const tournaments = Object.values(history)
+              .sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0))
+              .slice(0, 20)
+              .map(t => ({
+                  id: t.id,
+                  name: t.name,
+                  startTime: new Date(t.startTime).toISOString(),
+                  endedAt: t.endedAt ? new Date(t.endedAt).toISOString() : null,
+                  prizePool: t.prizePool,
+                  totalPlayers: Object.keys(t.registrations || {}).length,
+                  topWinners: (t.results?.winners || []).slice(0, 5).map(w => ({ ...w, profile: publicProfile(w.wallet) }))
+              }));
+          
+          res.json({ tournaments });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Vault balance against pending rewards + running prize pools
+  app.get('/admin/solvency', adminAuth('read-only'), async (req, res) => {
+      try {
+          const solvency = await getSolvencyReport();
+          res.json({ success: true, ...solvency });
+      } catch (error) {
+          sendError(res, 500, 'SOLVENCY_CHECK_FAILED', error.message);
+      }
+  });
+
+  // ===== ADMIN PLAYER MANAGEMENT =====
+  // Every change is kept on the player record under `adminActions` (newest last) with its reason.
+
+  function recordAdminAction(req, playerRecord, action) {
+      if (!playerRecord.adminActions) playerRecord.adminActions = [];
+      playerRecord.adminActions.push({ ...action, at: clock.now(), by: adminActor(req) });
+  }
+
+  // Look up a player: record, ban, claim in flight and tournament standing
+  app.get('/admin/players/:wallet', adminAuth('read-only'), validate({ params: { wallet: WALLET } }), async (req, res) => {
+      try {
+          const wallet = req.params.wallet;
+          const record = await loadPlayerRecord(wallet);
+          if (!record) {
+              return sendError(res, 404, 'PLAYER_NOT_FOUND', 'No record for this wallet');
+          }
+          res.json({
+              success: true,
+              player: record,
+              activeClaim: await loadClaimRecord(record.activeClaimId),
+              tournaments: Array.from(activeTournaments.values())
+                  .filter(t => t.registrations[wallet] || t.disqualified?.[wallet])
+                  .map(t => playerTournamentStatus(t, wallet))
+          });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Correct pendingRewards and/or totalEarned (new absolute values)
+  app.post('/admin/players/:wallet/adjust', adminAuth('players:write'), validate({
+      params: { wallet: WALLET },
+      body: { pendingRewards: { type: 'number', min: 0 }, totalEarned: { type: 'number', min: 0 }, reason: REASON }
+  }), async (req, res) => {
+      try {
+          const reason = req.body.reason.trim();
+          const record = await loadPlayerRecord(req.params.wallet);
+          if (!record) {
+              return sendError(res, 404, 'PLAYER_NOT_FOUND', 'No record for this wallet');
+          }
+
+          const changes = {};
+          for (const field of ['pendingRewards', 'totalEarned']) {
+              const value = req.body[field];
+              if (value === undefined) continue;
+              changes[field] = { from: record[field], to: value };
+          }
+          if (Object.keys(changes).length === 0) {
+              return sendError(res, 400, 'INVALID_ADJUSTMENT', 'Pass pendingRewards and/or totalEarned');
+          }
+          // A claim in flight settles against pendingRewards, so don't move it underneath
+          if (await findUnsettledClaim(record)) {
+              return sendError(res, 409, 'CLAIM_IN_PROGRESS', 'Player has a claim in flight — try again once it settles');
+          }
+
+          const before = rewardBalances(record);
+          for (const [field, { to }] of Object.entries(changes)) record[field] = to;
+          recordAdminAction(req, record, { action: 'adjust', changes, reason });
+          await savePlayerRecord(record.wallet, record);
+          await appendAudit({ type: 'admin.player_adjust', actor: adminActor(req), wallet: record.wallet, before, after: rewardBalances(record), details: { reason } });
+
+          req.log.info('Player rewards adjusted', { admin: req.admin.name, wallet: record.wallet, changes, reason });
+          res.json({ success: true, wallet: record.wallet, changes, pendingRewards: record.pendingRewards, totalEarned: record.totalEarned });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  app.post('/admin/players/:wallet/ban', adminAuth('players:write'), validate({ params: { wallet: WALLET }, body: { reason: REASON } }), async (req, res) => {
+      try {
+          const reason = req.body.reason.trim();
+          const wallet = req.params.wallet;
+          const record = await getOrCreatePlayerRecord(wallet);
+          const before = record.banned || null;
+          record.banned = { reason, bannedAt: clock.now(), by: adminActor(req) };
+
+          // Also out of every running tournament, so the score leaves the leaderboard and wins nothing
+          const disqualifiedFrom = [];
+          for (const tournament of activeTournaments.values()) {
+              if (!tournament.registrations[wallet] || tournament.disqualified?.[wallet]) continue;
+              await disqualifyPlayer(tournament, wallet, `Banned: ${reason}`, adminActor(req));
+              disqualifiedFrom.push(tournament.id);
+          }
+
+          recordAdminAction(req, record, { action: 'ban', reason, disqualifiedFrom });
+          await savePlayerRecord(wallet, record);
+          await appendAudit({ type: 'admin.player_ban', actor: adminActor(req), wallet, before, after: record.banned, details: { reason, disqualifiedFrom } });
+
+          req.log.info('Player banned', { admin: req.admin.name, wallet, reason, disqualifiedFrom });
+          res.json({ success: true, wallet, banned: record.banned, disqualifiedFrom });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  app.post('/admin/players/:wallet/unban', adminAuth('players:write'), validate({ params: { wallet: WALLET }, body: { reason: REASON } }), async (req, res) => {
+      try {
+          const reason = req.body.reason.trim();
+          const record = await loadPlayerRecord(req.params.wallet);
+          if (!record?.banned) {
+              return sendError(res, 404, 'NOT_BANNED', 'This wallet is not banned');
+          }
+          const before = record.banned;
+          record.banned = null;
+          recordAdminAction(req, record, { action: 'unban', reason });
+          await savePlayerRecord(record.wallet, record);
+          await appendAudit({ type: 'admin.player_unban', actor: adminActor(req), wallet: record.wallet, before, after: null, details: { reason } });
+
+          req.log.info('Player unbanned', { admin: req.admin.name, wallet: record.wallet, reason });
+          res.json({ success: true, wallet: record.wallet, banned: null });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Moderate a profile: clear the display name and/or avatar, and lock or unlock further changes by the player
+  app.post('/admin/players/:wallet/profile', adminAuth('players:write'), validate({
+      params: { wallet: WALLET },
+      body: { clearDisplayName: { type: 'boolean', default: false }, clearAvatar: { type: 'boolean', default: false }, locked: { type: 'boolean' }, reason: REASON }
+  }), async (req, res) => {
+      try {
+          const reason = req.body.reason.trim();
+          const { clearDisplayName, clearAvatar, locked } = req.body;
+          if (!clearDisplayName && !clearAvatar && locked === undefined) {
+              return sendError(res, 400, 'INVALID_MODERATION', 'Pass clearDisplayName, clearAvatar and/or locked');
+          }
+          const record = await loadPlayerRecord(req.params.wallet);
+          if (!record) {
+              return sendError(res, 404, 'PLAYER_NOT_FOUND', 'No record for this wallet');
+          }
+
+          const wallet = record.wallet;
+          const before = { profile: publicProfile(wallet), locked: record.profile?.locked || null };
+          const profile = { ...(record.profile || {}) };
+          const releasedKey = clearDisplayName ? profile.displayNameKey : null;
+          if (clearDisplayName) {
+              profile.displayName = null;
+              profile.displayNameKey = null;
+          }
+          if (clearAvatar) {
+              profile.avatarUrl = null;
+              profile.avatarNft = null;
+          }
+          if (locked !== undefined) profile.locked = locked ? { reason, lockedAt: clock.now(), by: adminActor(req) } : null;
+          record.profile = profile;
+          recordAdminAction(req, record, { action: 'profile', clearDisplayName, clearAvatar, locked: locked ?? null, reason });
+          await savePlayerRecord(wallet, record);
+          if (releasedKey) await releaseProfileName(releasedKey, wallet);
+          const after = { profile: publicProfile(wallet), locked: profile.locked || null };
+          await appendAudit({ type: 'admin.profile_moderate', actor: adminActor(req), wallet, before, after, details: { reason } });
+
+          req.log.info('Profile moderated', { admin: req.admin.name, wallet, clearDisplayName, clearAvatar, locked, reason });
+          res.json({ success: true, wallet, ...after });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Removes the wallet's score from a running tournament and keeps it out of the results.
+  // Returns the score that was removed, or null if it had none. An earlier disqualification is kept as it is.
+  async function disqualifyPlayer(tournament, wallet, reason, by) {
+      if (tournament.disqualified?.[wallet]) return tournament.disqualified[wallet].removedScore;
+      const removedScore = tournament.scores[wallet] ? rankingScore(tournament.scores[wallet]) : null;
+      if (!tournament.disqualified) tournament.disqualified = {};
+      tournament.disqualified[wallet] = { reason, disqualifiedAt: clock.now(), by, removedScore };
+      delete tournament.scores[wallet];
+      await saveTournament(tournament);
+      publishLeaderboardUpdate(tournament);
+      return removedScore;
+  }
+
+  app.post('/admin/players/:wallet/disqualify', adminAuth('players:write'), validate({
+      params: { wallet: WALLET },
+      body: { tournamentId: TOURNAMENT_ID, reason: REASON }
+  }), async (req, res) => {
+      try {
+          const reason = req.body.reason.trim();
+          const wallet = req.params.wallet;
+          const { tournamentId } = req.body;
+          if (!tournamentId && activeTournaments.size > 1) {
+              return sendError(res, 400, 'TOURNAMENT_ID_REQUIRED', 'Several tournaments are running — pass tournamentId');
+          }
+          const tournament = tournamentId ? activeTournaments.get(tournamentId) : defaultTournament();
+          if (!tournament) {
+              return sendError(res, 404, 'NO_ACTIVE_TOURNAMENT', 'No such running tournament');
+          }
+          if (!tournament.registrations[wallet]) {
+              return sendError(res, 404, 'NOT_REGISTERED', 'Wallet is not registered for this tournament');
+          }
+          if (tournament.disqualified?.[wallet]) {
+              return sendError(res, 409, 'ALREADY_DISQUALIFIED', 'Wallet is already disqualified from this tournament', {
+                  disqualified: tournament.disqualified[wallet]
+              });
+          }
+
+          const removedScore = await disqualifyPlayer(tournament, wallet, reason, adminActor(req));
+
+          const record = await loadPlayerRecord(wallet);
+          if (record) {
+              recordAdminAction(req, record, { action: 'disqualify', tournamentId: tournament.id, removedScore, reason });
+              await savePlayerRecord(wallet, record);
+          }
+          await appendAudit({
+              type: 'admin.player_disqualify',
+              actor: adminActor(req),
+              wallet,
+              before: { score: removedScore },
+              after: tournament.disqualified[wallet],
+              details: { tournamentId: tournament.id, reason }
+          });
+
+          req.log.info('Player disqualified', { admin: req.admin.name, wallet, tournamentId: tournament.id, removedScore, reason });
+          res.json({ success: true, wallet, tournamentId: tournament.id, removedScore });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Audit log query: ?wallet=&type=&from=&to=&limit= (from/to as ms timestamps or ISO dates)
+  app.get('/admin/audit', adminAuth('read-only'), validate({
+      query: {
+          wallet: { type: 'wallet' },
+          type: { type: 'string', maxLength: 64 },
+          from: { type: 'string', maxLength: 40 },
+          to: { type: 'string', maxLength: 40 },
+          limit: { type: 'integer', min: 1, max: 1000, default: 100 }
+      }
+  }), async (req, res) => {
+      try {
+          const parseTime = (value, fallback) => {
+              if (value === undefined) return fallback;
+              const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+              return Number.isFinite(time) ? time : NaN;
+          };
+          const to = parseTime(req.query.to, clock.now());
+          const from = parseTime(req.query.from, to - 7 * AUDIT_DAY_MS);
+          if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+              return sendError(res, 400, 'INVALID_RANGE', 'from/to must be timestamps or ISO dates with from <= to');
+          }
+          const wallet = req.query.wallet || null;
+          if (!wallet && to - from > AUDIT_MAX_RANGE_DAYS * AUDIT_DAY_MS) {
+              return sendError(res, 400, 'INVALID_RANGE', `Without a wallet the range is limited to ${AUDIT_MAX_RANGE_DAYS} days`);
+          }
+          const entries = await queryAudit({ wallet, from, to, type: req.query.type || null, limit: req.query.limit });
+          res.json({ success: true, from, to, wallet, count: entries.length, entries });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // ===== PUBLIC TOURNAMENT ENDPOINTS =====
+  // Routes under /api/tournament/* act on the main event unless ?tournamentId= is given;
+  // /api/tournaments/:tournamentId/* address one tournament explicitly.
+
+  function publicTournamentSummary(tournament) {
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+      return {
+          id: tournament.id,
+          name: tournament.name,
+          startTime: tournament.startTime,
+          endTime: tournament.endTime,
+          timeRemainingMs: timeRemaining,
+          timeRemainingHuman: formatTime(timeRemaining),
+          prizePool: tournament.prizePool,
+          scoringFormat: tournament.scoringFormat,
+          registeredPlayers: Object.keys(tournament.registrations).length,
+          playersWithScores: Object.keys(tournament.scores).length
+      };
+  }
+
+  // The tournament a /api/tournament/* or /api/tournaments/:tournamentId/* request is about
+  const TOURNAMENT_LOOKUP = { params: { tournamentId: TOURNAMENT_ID }, query: { tournamentId: TOURNAMENT_ID } };
+
+  // All running tournaments
+  app.get('/api/tournaments', (req, res) => {
+      const tournaments = Array.from(activeTournaments.values())
+          .sort((a, b) => a.endTime - b.endTime)
+          .map(tournament => ({ ...publicTournamentSummary(tournament), active: isTournamentOpen(tournament) }));
+      res.json({ tournaments });
+  });
+
+  // Public tournament status
+  app.get(['/api/tournament/status', '/api/tournaments/:tournamentId/status'], validate(TOURNAMENT_LOOKUP), (req, res) => {
+      const tournament = resolveTournament(req);
+      if (!tournament) {
+          return res.json({ active: false });
+      }
+
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+      const isExpired = timeRemaining <= 0;
+
+      res.json({
+          ...publicTournamentSummary(tournament),
+          active: !isExpired
+      });
+  });
+
+  // Register for tournament
+  app.post(['/api/tournament/register', '/api/tournaments/:tournamentId/register'], walletAuth, rateLimit('balance'), validate({
+      ...TOURNAMENT_LOOKUP,
+      body: { playerWallet: WALLET, tournamentId: TOURNAMENT_ID }
+  }), rejectBanned, async (req, res) => {
+      try {
+          const { playerWallet } = req.body;
+          // Registering for "whatever is running" is ambiguous once several tournaments run
+          const explicitId = req.params.tournamentId || req.body.tournamentId || req.query.tournamentId;
+          if (!explicitId && activeTournaments.size > 1) {
+              return sendError(res, 400, 'TOURNAMENT_ID_REQUIRED', 'Several tournaments are running — choose one');
+          }
+
+          const tournament = resolveTournament(req);
+          if (!tournament) {
+              return sendError(res, 404, 'NO_ACTIVE_TOURNAMENT', 'No tournament is currently active');
+          }
+
+          // Check if tournament time expired
+          if (clock.now() > tournament.endTime) {
+              return sendError(res, 409, 'TOURNAMENT_ENDED', 'Tournament has ended');
+          }
+
+          // Check if already registered
+          if (tournament.registrations[playerWallet]) {
+              return res.json({ success: true, message: 'Already registered', alreadyRegistered: true, tournamentId: tournament.id });
+          }
+
+          // Verify holds minimum $CHUM
+          const chumBalance = await getChumBalance(playerWallet);
+          if (chumBalance < MIN_HOLD_REQUIREMENT) {
+              return sendError(res, 403, 'INSUFFICIENT_BALANCE', `Need ${MIN_HOLD_REQUIREMENT.toLocaleString()} $CHUM to enter tournament`, {
+                  balance: chumBalance,
+                  required: MIN_HOLD_REQUIREMENT
+              });
+          }
+
+          // Register
+          tournament.registrations[playerWallet] = {
+              registeredAt: clock.now(),
+              balance: chumBalance
+          };
+
+          await saveTournament(tournament);
+          tournamentRegistrations.inc();
+          publishRegistration(tournament);
+          req.log.info('Tournament registration', {
+              wallet: playerWallet, tournamentId: tournament.id, registrations: Object.keys(tournament.registrations).length
+          });
+
+          res.json({
+              success: true,
+              message: `Registered for ${tournament.name}!`,
+              tournamentId: tournament.id,
+              tournamentName: tournament.name,
+              endTime: tournament.endTime,
+              prizePool: tournament.prizePool
+          });
+      } catch (error) {
+          if (error.code === 'BALANCE_UNAVAILABLE') return sendBalanceUnavailable(res, error);
+          req.log.error('Tournament registration failed', { err: error });
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Tournament leaderboard (public)
+  app.get(['/api/tournament/leaderboard', '/api/tournaments/:tournamentId/leaderboard'], validate({
+      params: TOURNAMENT_LOOKUP.params,
+      query: { ...TOURNAMENT_LOOKUP.query, limit: { type: 'integer', min: 1, max: 200, default: 50 } }
+  }), (req, res) => {
+      const tournament = resolveTournament(req);
+      if (!tournament) {
+          return res.json({ active: false, leaderboard: [] });
+      }
+
+      const leaderboard = getTopScores(tournament, req.query.limit);
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+
+      res.json({
+          active: true,
+          tournamentId: tournament.id,
+          tournamentName: tournament.name,
+          timeRemainingMs: timeRemaining,
+          timeRemainingHuman: formatTime(timeRemaining),
+          prizePool: tournament.prizePool,
+          scoringFormat: tournament.scoringFormat,
+          totalPlayers: Object.keys(tournament.registrations).length,
+          tieBreak: tieBreakInfo(tournament),
+          leaderboard
+      });
+  });
+
+  function playerTournamentStatus(tournament, wallet) {
+      const playerScore = tournament.scores[wallet];
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+      return {
+          tournamentId: tournament.id,
+          registered: !!tournament.registrations[wallet],
+          tournamentName: tournament.name,
+          timeRemainingMs: timeRemaining,
+          timeRemainingHuman: formatTime(timeRemaining),
+          prizePool: tournament.prizePool,
+          scoringFormat: tournament.scoringFormat,
+          score: playerScore ? rankingScore(playerScore) : 0,
+          bestScore: playerScore?.bestScore || 0,
+          gamesPlayed: playerScore?.gamesPlayed || 0,
+          holdingViolation: tournament.holdingViolations?.[wallet] || null,
+          disqualified: tournament.disqualified?.[wallet] || null
+      };
+  }
+
+  // Check if player is registered — for one tournament, plus every running tournament without an ID
+  app.get(['/api/tournament/check/:wallet', '/api/tournaments/:tournamentId/check/:wallet'], validate({
+      params: { ...TOURNAMENT_LOOKUP.params, wallet: WALLET },
+      query: TOURNAMENT_LOOKUP.query
+  }), (req, res) => {
+      const wallet = req.params.wallet;
+      const tournament = resolveTournament(req);
+
+      if (!tournament) {
+          return res.json({ active: false, registered: false });
+      }
+
+      const response = { active: true, ...playerTournamentStatus(tournament, wallet) };
+      if (!req.params.tournamentId && !req.query.tournamentId) {
+          response.tournaments = Array.from(activeTournaments.values()).map(t => playerTournamentStatus(t, wallet));
+      }
+      res.json(response);
+  });
+
+  // Past tournament results (public)
+  app.get('/api/tournament/results/:tournamentId', validate({ params: { tournamentId: TOURNAMENT_ID } }), async (req, res) => {
+      try {
+          const data = await storageLoad(`tournaments/history/${req.params.tournamentId}`);
+          if (!data) return sendError(res, 404, 'TOURNAMENT_NOT_FOUND', 'No finished tournament with this ID');
+
+          res.json({
+              id: data.id,
+              name: data.name,
+              startTime: data.startTime,
+              endedAt: data.endedAt,
+              prizePool: data.prizePool,
+              totalPlayers: Object.keys(data.registrations || {}).length,
+              results: data.results && withWinnerProfiles(data.results)
+          });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // Past tournaments list (public)
+  app.get('/api/tournament/history', async (req, res) => {
+      try {
+          const history = await storageLoad('tournaments/history');
+          if (!history) return res.json({ tournaments: [] });
+          
+          const tournaments = Object.values(history)
+              .sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0))
+              .slice(0, 20)
+              .map(t => ({
+                  id: t.id,
+                  name: t.name,
+                  startTime: t.startTime,
+                  endedAt: t.endedAt,
+                  prizePool: t.prizePool,
+                  totalPlayers: Object.keys(t.registrations || {}).length,
+                  scoringFormat: t.scoringFormat || DEFAULT_SCORING_FORMAT,
+                  topWinners: (t.results?.winners || []).slice(0, 3).map(w => ({
+                      rank: w.rank,
+                      wallet: `${w.wallet.slice(0, 4)}...${w.wallet.slice(-4)}`,
+                      score: w.score ?? w.bestScore,
+                      bestScore: w.bestScore,
+                      prize: w.prize,
+                      profile: publicProfile(w.wallet)
+                  }))
+              }));
+          
+          res.json({ tournaments });
+      } catch (error) {
+          sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+  });
+
+  // ===== LIVE LEADERBOARD (Server-Sent Events) =====
+  // GET /api/tournaments/:tournamentId/stream?top=10       — the top-N board
+  // GET /api/tournaments/:tournamentId/stream?wallet=...   — one wallet's rank
+  // Events: snapshot, leaderboard, rank, personal_best, registrations, countdown, ended
+
+  // tournamentId -> Set of { res, wallet, top, lastBoard, lastRank }
+  const leaderboardStreams = new Map();
+
+  function sendStreamEvent(subscriber, event, data) {
+      subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Compact fingerprint of a board, so subscribers only hear about real changes
+  function boardFingerprint(board) {
+      return board.map(e => `${e.fullWallet}:${e.rank}:${e.score}`).join('|');
+  }
+
+  function streamCountdown(tournament) {
+      const timeRemaining = Math.max(0, tournament.endTime - clock.now());
+      return { tournamentId: tournament.id, endTime: tournament.endTime, timeRemainingMs: timeRemaining, timeRemainingHuman: formatTime(timeRemaining) };
+  }
+
+  function walletRankEvent(tournament, ranking, wallet, previousRank) {
+      const entry = ranking.find(e => e.fullWallet === wallet);
+      return {
+          tournamentId: tournament.id,
+          wallet,
+          rank: entry?.rank || null,
+          previousRank,
+          score: entry?.score || 0,
+          gamesPlayed: entry?.gamesPlayed || 0,
+          rankedPlayers: ranking.length
+      };
+  }
+
+  // Called whenever standings may have changed (new score, disqualification).
+  // `change` is { wallet, score, personalBest } for a newly recorded game.
+  function publishLeaderboardUpdate(tournament, change = null) {
+      const subscribers = leaderboardStreams.get(tournament.id);
+      if (!subscribers || subscribers.size === 0) return;
+
+      const ranking = getTopScores(tournament, Infinity);
+      for (const subscriber of subscribers) {
+          if (subscriber.wallet) {
+              if (change?.personalBest && change.wallet === subscriber.wallet) {
+                  sendStreamEvent(subscriber, 'personal_best', { tournamentId: tournament.id, wallet: change.wallet, bestScore: change.score });
+              }
+              const rankEvent = walletRankEvent(tournament, ranking, subscriber.wallet, subscriber.lastRank);
+              const key = `${rankEvent.rank}:${rankEvent.score}`;
+              if (key !== subscriber.lastRankKey) {
+                  subscriber.lastRank = rankEvent.rank;
+                  subscriber.lastRankKey = key;
+                  sendStreamEvent(subscriber, 'rank', rankEvent);
+              }
+              continue;
+          }
+
+          const board = ranking.slice(0, subscriber.top);
+          if (change?.personalBest && board.some(e => e.fullWallet === change.wallet)) {
+              sendStreamEvent(subscriber, 'personal_best', { tournamentId: tournament.id, wallet: change.wallet, bestScore: change.score });
+          }
+          const fingerprint = boardFingerprint(board);
+          if (fingerprint !== subscriber.lastBoard) {
+              subscriber.lastBoard = fingerprint;
+              sendStreamEvent(subscriber, 'leaderboard', { tournamentId: tournament.id, leaderboard: board });
+          }
+      }
+  }
+
+  function publishRegistration(tournament) {
+      const subscribers = leaderboardStreams.get(tournament.id);
+      if (!subscribers) return;
+      const registeredPlayers = Object.keys(tournament.registrations).length;
+      for (const subscriber of subscribers) {
+          sendStreamEvent(subscriber, 'registrations', { tournamentId: tournament.id, registeredPlayers });
+      }
+  }
+
+  // Final results, then the stream closes — the tournament is no longer running
+  function publishTournamentEnded(tournament, results, endedBy) {
+      const subscribers = leaderboardStreams.get(tournament.id);
+      if (!subscribers) return;
+      const { winners: allWinners } = withWinnerProfiles(results);
+      for (const subscriber of subscribers) {
+          const winners = subscriber.wallet
+              ? allWinners.filter(w => w.wallet === subscriber.wallet)
+              : allWinners.slice(0, subscriber.top);
+          sendStreamEvent(subscriber, 'ended', {
+              tournamentId: tournament.id,
+              endedBy,
+              totalPlayers: results.totalPlayers,
+              totalDistributed: results.totalDistributed,
+              winners
+          });
+          subscriber.res.end();
+      }
+      leaderboardStreams.delete(tournament.id);
+  }
+
+  runEvery(STREAM_COUNTDOWN_INTERVAL_MS, () => {
+      for (const [tournamentId, subscribers] of leaderboardStreams) {
+          const tournament = activeTournaments.get(tournamentId);
+          if (!tournament) continue;
+          const countdown = streamCountdown(tournament);
+          for (const subscriber of subscribers) sendStreamEvent(subscriber, 'countdown', countdown);
+      }
+  });
+
+  app.get(['/api/tournament/stream', '/api/tournaments/:tournamentId/stream'], validate({
+      params: TOURNAMENT_LOOKUP.params,
+      query: { ...TOURNAMENT_LOOKUP.query, wallet: { type: 'wallet' }, top: { type: 'integer', min: 1, max: 100, default: 10 } }
+  }), (req, res) => {
+      const tournament = resolveTournament(req);
+      if (!tournament) {
+          return sendError(res, 404, 'NO_ACTIVE_TOURNAMENT', 'No tournament is currently active');
+      }
+      const wallet = req.query.wallet || null;
+      const { top } = req.query;
+
+      res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'   // don't let nginx-style proxies buffer the stream
+      });
+
+      const subscriber = { res, wallet, top, lastBoard: null, lastRank: null, lastRankKey: null };
+      const ranking = getTopScores(tournament, Infinity);
+      const snapshot = {
+          tournamentId: tournament.id,
+          tournamentName: tournament.name,
+          prizePool: tournament.prizePool,
+          registeredPlayers: Object.keys(tournament.registrations).length,
+          tieBreak: tieBreakInfo(tournament),
+          ...streamCountdown(tournament)
+      };
+      if (wallet) {
+          const rankEvent = walletRankEvent(tournament, ranking, wallet, null);
+          subscriber.lastRank = rankEvent.rank;
+          subscriber.lastRankKey = `${rankEvent.rank}:${rankEvent.score}`;
+          snapshot.player = rankEvent;
+      } else {
+          const board = ranking.slice(0, top);
+          subscriber.lastBoard = boardFingerprint(board);
+          snapshot.leaderboard = board;
+      }
+      sendStreamEvent(subscriber, 'snapshot', snapshot);
+
+      if (!leaderboardStreams.has(tournament.id)) leaderboardStreams.set(tournament.id, new Set());
+      leaderboardStreams.get(tournament.id).add(subscriber);
+
+      req.on('close', () => {
+          const subscribers = leaderboardStreams.get(tournament.id);
+          if (!subscribers) return;
+          subscribers.delete(subscriber);
+          if (subscribers.size === 0) leaderboardStreams.delete(tournament.id);
+      });
+  });
+
+  // ===== TOURNAMENT HELPER FUNCTIONS =====
+
+  function formatTime(ms) {
+      if (ms <= 0) return 'Ended';
+      const hours = Math.floor(ms / (1000 * 60 * 60));
+      const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+      if (hours > 0) return `${hours}h ${minutes}m`;
+      return `${minutes}m`;
+  }
+
+  function validateScoringFormat(format) {
+      if (!format || typeof format !== 'object') return 'scoringFormat must be an object';
+      if (format.type === 'best' || format.type === 'cumulative') return null;
+      if (format.type === 'averageTopN') {
+          if (!Number.isInteger(format.n) || format.n < 1 || format.n > 100) return 'averageTopN needs n between 1 and 100';
+          return null;
+      }
+      return 'scoringFormat.type must be "best", "cumulative" or "averageTopN"';
+  }
+
+  // The value players are ranked by. Records from before scoring formats only have bestScore.
+  function rankingScore(data) {
+      return data.score ?? data.bestScore ?? 0;
+  }
+
+  // Ranking order: higher score first, then these tie-breaks. Shown to players in leaderboard and results responses.
+  const TIE_BREAK_ORDER = [
+      { field: 'score', order: 'desc', description: 'Higher tournament score' },
+      { field: 'scoreReachedAt', order: 'asc', description: 'Reached that score first' },
+      { field: 'gamesPlayed', order: 'asc', description: 'Fewer games played' },
+      { field: 'fullWallet', order: 'asc', description: 'Wallet address (alphabetical, last resort)' }
+  ];
+
+  // When the current ranking score was reached — older records only have allScores to go on
+  function scoreReachedAt(data) {
+      if (data.scoreReachedAt) return data.scoreReachedAt;
+      if (data.bestScoreAt) return data.bestScoreAt;
+      const first = (data.allScores || []).find(s => s.points === data.bestScore);
+      return first ? first.timestamp : (data.lastGameAt || 0);
+  }
+
+  function compareRankEntries(a, b) {
+      for (const { field, order } of TIE_BREAK_ORDER) {
+          if (a[field] === b[field]) continue;
+          const diff = typeof a[field] === 'string' ? a[field].localeCompare(b[field]) : a[field] - b[field];
+          return order === 'desc' ? -diff : diff;
+      }
+      return 0;
+  }
+
+  // First tie-break criterion that separates two entries with the same score
+  function decidingTieBreak(a, b) {
+      const criterion = TIE_BREAK_ORDER.slice(1).find(({ field }) => a[field] !== b[field]);
+      return criterion ? criterion.field : null;
+  }
+
+  // Ranked standings. With tournament.splitTies, equal scores share a rank (1, 2, 2, 4)
+  // and calculateTournamentResults pools their prizes; otherwise TIE_BREAK_ORDER decides.
+  function getTopScores(tournament, limit) {
+      if (!tournament.scores) return [];
+      const sorted = Object.entries(tournament.scores)
+          .filter(([wallet]) => !isHoldingDisqualified(tournament, wallet))
+          .map(([wallet, data]) => ({
+              wallet: `${wallet.slice(0, 4)}...${wallet.slice(-4)}`,
+              fullWallet: wallet,
+              score: rankingScore(data),
+              scoreReachedAt: scoreReachedAt(data),
+              bestScore: data.bestScore,
+              gamesPlayed: data.gamesPlayed,
+              lastGameAt: data.lastGameAt,
+              profile: publicProfile(wallet)
+          }))
+          .sort(compareRankEntries);
+
+      let sharedRank = 0;
+      return sorted
+          .map((entry, index) => {
+              const prev = sorted[index - 1];
+              const next = sorted[index + 1];
+              if (!prev || prev.score !== entry.score) sharedRank = index + 1;
+              const tiedWith = prev && prev.score === entry.score ? prev
+                  : next && next.score === entry.score ? next : null;
+              return {
+                  rank: tournament.splitTies ? sharedRank : index + 1,
+                  position: index + 1,
+                  ...entry,
+                  tiedOnScore: !!tiedWith,
+                  tieBrokenBy: tiedWith && !tournament.splitTies ? decidingTieBreak(entry, tiedWith) : null
+              };
+          })
+          .slice(0, limit);
+  }
+
+  // Describes how players are ranked, included next to every ranking we return
+  function tieBreakInfo(tournament) {
+      return {
+          scoringFormat: tournament.scoringFormat || DEFAULT_SCORING_FORMAT,
+          order: TIE_BREAK_ORDER.map(({ field, order, description }) => ({ field, order, description })),
+          splitTies: !!tournament.splitTies
+      };
+  }
+
+  // ===== PRIZE SCHEMES =====
+  // fixed:      { type: 'fixed', tiers: [{ from, to, amount }] }       — amount per rank
+  // percentage: { type: 'percentage', tiers: [{ from, to, percent }] } — percent of pool per rank
+  //   A tier with split: true pays its amount/percent once, divided evenly among the ranks that fill it;
+  //   only split tiers may be open-ended (to: null), and they may cap each rank's share with maxPerRank
+  //   (an amount or percent, like the tier's own value).
+  // formula:    { type: 'formula', curve: 'power' | 'exponential', paidPlaces, exponent | decay, poolPercent }
+  //   Weights 1/rank^exponent (power) or decay^(rank-1) (exponential), normalized so the paid places
+  //   share poolPercent of the pool.
+
+  // Returns null when the scheme can never pay out more than `pool`, otherwise a reason string
+  function validatePrizeScheme(scheme, pool) {
+      if (!scheme || typeof scheme !== 'object') return 'prizeScheme must be an object';
+      if (!(pool > 0)) return 'prizePool must be positive';
+
+      if (scheme.type === 'fixed' || scheme.type === 'percentage') {
+          const valueKey = scheme.type === 'fixed' ? 'amount' : 'percent';
+          if (!Array.isArray(scheme.tiers) || scheme.tiers.length === 0) return 'tiers must be a non-empty array';
+
+          const tiers = [...scheme.tiers].sort((a, b) => a.from - b.from);
+          let maxTotal = 0;
+          let lastTo = 0;
+          for (const tier of tiers) {
+              const value = tier[valueKey];
+              if (!Number.isInteger(tier.from) || tier.from < 1) return 'tier.from must be an integer >= 1';
+              if (tier.to !== null && (!Number.isInteger(tier.to) || tier.to < tier.from)) return 'tier.to must be an integer >= from, or null';
+              if (tier.to === null && !tier.split) return 'Only split tiers can be open-ended (to: null)';
+              if (!Number.isFinite(value) || value < 0) return `tier.${valueKey} must be a non-negative number`;
+              if (tier.maxPerRank !== undefined) {
+                  if (!tier.split) return 'Only split tiers can set maxPerRank';
+                  if (!Number.isFinite(tier.maxPerRank) || tier.maxPerRank < 0) return 'tier.maxPerRank must be a non-negative number';
+              }
+              if (lastTo === null || tier.from <= lastTo) return `Tiers overlap at rank ${tier.from}`;
+              lastTo = tier.to;
+
+              const places = tier.split ? 1 : tier.to - tier.from + 1;
+              maxTotal += places * (scheme.type === 'fixed' ? value : pool * value / 100);
+          }
+          if (maxTotal > pool + 1e-6) {
+              return `Scheme can pay out ${Math.ceil(maxTotal).toLocaleString()} but the pool is ${pool.toLocaleString()}`;
+          }
+          return null;
+      }
+
+      if (scheme.type === 'formula') {
+          if (!Number.isInteger(scheme.paidPlaces) || scheme.paidPlaces < 1) return 'paidPlaces must be an integer >= 1';
+          if (scheme.curve === 'power') {
+              if (!(scheme.exponent > 0)) return 'exponent must be positive';
+          } else if (scheme.curve === 'exponential') {
+              if (!(scheme.decay > 0 && scheme.decay <= 1)) return 'decay must be in (0, 1]';
+          } else {
+              return 'curve must be "power" or "exponential"';
+          }
+          const poolPercent = scheme.poolPercent === undefined ? 100 : scheme.poolPercent;
+          if (!(poolPercent > 0 && poolPercent <= 100)) return 'poolPercent must be in (0, 100]';
+          return null;
+      }
+
+      return 'prizeScheme.type must be "fixed", "percentage" or "formula"';
+  }
+
+  // Prize for each rank 1..playerCount (index 0 = rank 1), floored to whole $CHUM
+  function computePrizes(scheme, pool, playerCount) {
+      const prizes = new Array(playerCount).fill(0);
+
+      if (scheme.type === 'formula') {
+          const places = Math.min(scheme.paidPlaces, playerCount);
+          const weight = (rank) => scheme.curve === 'power'
+              ? 1 / Math.pow(rank, scheme.exponent)
+              : Math.pow(scheme.decay, rank - 1);
+          let totalWeight = 0;
+          for (let rank = 1; rank <= places; rank++) totalWeight += weight(rank);
+          const budget = pool * (scheme.poolPercent === undefined ? 100 : scheme.poolPercent) / 100;
+          for (let rank = 1; rank <= places; rank++) {
+              prizes[rank - 1] = Math.floor(budget * weight(rank) / totalWeight);
+          }
+          return prizes;
+      }
+
+      const toValue = (value) => scheme.type === 'fixed' ? value : pool * value / 100;
+      for (const tier of scheme.tiers) {
+          const perRankValue = toValue(scheme.type === 'fixed' ? tier.amount : tier.percent);
+          const last = Math.min(tier.to === null ? playerCount : tier.to, playerCount);
+          const filled = last - tier.from + 1;
+          if (filled <= 0) continue;
+          const share = tier.maxPerRank === undefined ? perRankValue / filled : Math.min(perRankValue / filled, toValue(tier.maxPerRank));
+          const prize = tier.split ? Math.floor(share) : Math.floor(perRankValue);
+          for (let rank = tier.from; rank <= last; rank++) prizes[rank - 1] = prize;
+      }
+      return prizes;
+  }
+
+  function calculateTournamentResults(tournament) {
+      const ranked = getTopScores(tournament, 99999);
+      const totalPlayers = ranked.length;
+      const pool = tournament.prizePool;
+      const scheme = tournament.prizeScheme || DEFAULT_PRIZE_SCHEME;
+      const prizes = computePrizes(scheme, pool, totalPlayers);
+
+      // Tied players pool the prizes of the positions they occupy and split them evenly
+      if (tournament.splitTies) {
+          let start = 0;
+          while (start < ranked.length) {
+              let end = start;
+              while (end + 1 < ranked.length && ranked[end + 1].score === ranked[start].score) end++;
+              if (end > start) {
+                  const pooled = prizes.slice(start, end + 1).reduce((sum, p) => sum + p, 0);
+                  const share = Math.floor(pooled / (end - start + 1));
+                  for (let i = start; i <= end; i++) prizes[i] = share;
+              }
+              start = end + 1;
+          }
+      }
+
+      // Validated schemes can't exceed the pool, but never trust that with real tokens
+      let distributed = prizes.reduce((sum, p) => sum + p, 0);
+      if (distributed > pool) {
+          logger.error('Prize scheme exceeded the pool; scaling down', { tournamentId: tournament.id, distributed, pool });
+          const scale = pool / distributed;
+          for (let i = 0; i < prizes.length; i++) prizes[i] = Math.floor(prizes[i] * scale);
+          distributed = prizes.reduce((sum, p) => sum + p, 0);
+      }
+
+      // Holding policy "reduce": keep the rank, cut the prize
+      const policy = holdingPolicyFor(tournament);
+      const reductions = {};
+      if (policy.action === 'reduce') {
+          ranked.forEach((entry, i) => {
+              const violation = tournament.holdingViolations?.[entry.fullWallet];
+              if (!violation || prizes[i] === 0) return;
+              const reduced = Math.floor(prizes[i] * (1 - policy.reducePercent / 100));
+              reductions[entry.fullWallet] = { originalPrize: prizes[i], percent: policy.reducePercent, reason: violation.reason };
+              distributed -= prizes[i] - reduced;
+              prizes[i] = reduced;
+          });
+      }
+
+      const winners = ranked.map((entry, i) => ({
+          rank: entry.rank,
+          wallet: entry.fullWallet,
+          walletShort: entry.wallet,
+          score: entry.score,
+          scoreReachedAt: entry.scoreReachedAt,
+          bestScore: entry.bestScore,
+          gamesPlayed: entry.gamesPlayed,
+          tiedOnScore: entry.tiedOnScore,
+          tieBrokenBy: entry.tieBrokenBy,
+          prize: prizes[i],
+          ...(reductions[entry.fullWallet] ? { prizeReduction: reductions[entry.fullWallet] } : {})
+      }));
+
+      const disqualified = [
+          ...(policy.action === 'disqualify' ? Object.entries(tournament.holdingViolations || {}) : []),
+          ...Object.entries(tournament.disqualified || {})
+      ].map(([wallet, v]) => ({
+          wallet,
+          walletShort: `${wallet.slice(0, 4)}...${wallet.slice(-4)}`,
+          ...v
+      }));
+
+      return {
+          totalPlayers,
+          totalDistributed: distributed,
+          prizePool: pool,
+          prizeScheme: scheme,
+          scoringFormat: tournament.scoringFormat || DEFAULT_SCORING_FORMAT,
+          tieBreak: tieBreakInfo(tournament),
+          holdingPolicy: policy,
+          winners,
+          disqualified,
+          // Wallets whose last holding check couldn't read a balance (RPC down) — paid, but worth a look
+          holdingUnverified: Object.keys(tournament.holdingUnverified || {})
+      };
+  }
+
+  // ===== HOLDING VERIFICATION =====
+  // Registration checks MIN_HOLD_REQUIREMENT once; these re-checks catch players who sell afterwards.
+  // Failures are stored in tournament.holdingViolations[wallet] = { reason, balance, required, checkedAt, check }.
+
+  function validateHoldingPolicy(policy) {
+      if (policy.action !== 'disqualify' && policy.action !== 'reduce') return 'holdingPolicy.action must be "disqualify" or "reduce"';
+      if (!(policy.reducePercent >= 0 && policy.reducePercent <= 100)) return 'holdingPolicy.reducePercent must be 0-100';
+      if (!(policy.spotCheckMinMinutes > 0) || policy.spotCheckMaxMinutes < policy.spotCheckMinMinutes) {
+          return 'holdingPolicy spot check interval must be positive with max >= min';
+      }
+      if (!Number.isInteger(policy.spotCheckSampleSize) || policy.spotCheckSampleSize < 1) return 'holdingPolicy.spotCheckSampleSize must be >= 1';
+      return null;
+  }
+
+  function holdingPolicyFor(tournament) {
+      return { ...DEFAULT_HOLDING_POLICY, ...(tournament.holdingPolicy || {}) };
+  }
+
+  function isHoldingDisqualified(tournament, wallet) {
+      return !!tournament.holdingViolations?.[wallet] && holdingPolicyFor(tournament).action === 'disqualify';
+  }
+
+  // Re-checks one player's balance and records a violation if it dropped below the requirement.
+  // Returns null when the balance can't be read — an RPC outage never counts against a player.
+  async function verifyHolding(tournament, wallet, check) {
+      let balance;
+      try {
+          balance = await getChumBalance(wallet, { fresh: true });
+      } catch (error) {
+          if (error.code !== 'BALANCE_UNAVAILABLE') throw error;
+          if (!tournament.holdingUnverified) tournament.holdingUnverified = {};
+          tournament.holdingUnverified[wallet] = { check, checkedAt: clock.now(), error: error.message };
+          logger.warn('Holding check skipped: balance unavailable', { tournamentId: tournament.id, wallet, check, error: error.message });
+          return null;
+      }
+      if (tournament.holdingUnverified) delete tournament.holdingUnverified[wallet];
+      if (balance >= MIN_HOLD_REQUIREMENT) return true;
+
+      if (!tournament.holdingViolations) tournament.holdingViolations = {};
+      if (!tournament.holdingViolations[wallet]) {
+          tournament.holdingViolations[wallet] = {
+              reason: `Held ${balance.toLocaleString()} $CHUM at ${check} check, below the ${MIN_HOLD_REQUIREMENT.toLocaleString()} requirement`,
+              balance,
+              required: MIN_HOLD_REQUIREMENT,
+              checkedAt: clock.now(),
+              check
+          };
+          logger.info('Holding check failed', { tournamentId: tournament.id, wallet, check, balance, required: MIN_HOLD_REQUIREMENT });
+      }
+      return false;
+  }
+
+  // Before payout: verify everyone who would receive a prize. Disqualifying a player moves others
+  // up into prize positions, so keep going until every prize winner has been verified.
+  async function verifyHoldingsForFinalization(tournament) {
+      const verified = new Set();
+      for (;;) {
+          const unverified = calculateTournamentResults(tournament).winners
+              .filter(w => w.prize > 0 && !verified.has(w.wallet) && !tournament.holdingViolations?.[w.wallet]);
+          if (unverified.length === 0) return;
+          for (const winner of unverified) {
+              verified.add(winner.wallet);
+              await verifyHolding(tournament, winner.wallet, 'final');
+          }
+      }
+  }
+
+  function nextSpotCheckAt(policy) {
+      const minutes = policy.spotCheckMinMinutes + Math.random() * (policy.spotCheckMaxMinutes - policy.spotCheckMinMinutes);
+      return clock.now() + Math.round(minutes * 60 * 1000);
+  }
+
+  // Random sample of registered players, at random intervals, while the tournament runs
+  async function runHoldingSpotCheck(tournament) {
+      const policy = holdingPolicyFor(tournament);
+      const candidates = Object.keys(tournament.registrations).filter(w => !tournament.holdingViolations?.[w]);
+      // Fisher-Yates, then take the first sampleSize
+      for (let i = candidates.length - 1; i > 0; i--) {
+          const j = crypto.randomInt(i + 1);
+          [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+      }
+      const sample = candidates.slice(0, policy.spotCheckSampleSize);
+
+      let failed = 0;
+      for (const wallet of sample) {
+          if ((await verifyHolding(tournament, wallet, 'spot')) === false) failed++;
+      }
+      tournament.nextSpotCheckAt = nextSpotCheckAt(policy);
+      await saveTournament(tournament);
+      if (failed > 0) publishLeaderboardUpdate(tournament);
+      logger.info('Holding spot check finished', { tournamentId: tournament.id, checked: sample.length, failed });
+  }
+
+  // ===== TOURNAMENT LIFECYCLE =====
+
+  async function startTournament({ name, durationHours, prizePool, prizeScheme, splitTies, scoringFormat, holdingPolicy, startTime, scheduleId = null }) {
+      const hours = durationHours || 24;
+      const pool = prizePool || 769230;
+      const start = startTime || clock.now();
+
+      // Scheduled IDs are derived from the window so a restart can't open the same window twice
+      const id = scheduleId
+          ? `tournament_${scheduleId}_${start}`
+          : `tournament_${start}_${crypto.randomBytes(3).toString('hex')}`;
+
+      const tournament = {
+          id,
+          name: name || `BullShark Weekly Tournament`,
+          active: true,
+          startTime: start,
+          endTime: start + (hours * 60 * 60 * 1000),
+          durationHours: hours,
+          prizePool: pool,
+          prizeScheme: prizeScheme || DEFAULT_PRIZE_SCHEME,
+          splitTies: !!splitTies,
+          scoringFormat: scoringFormat || DEFAULT_SCORING_FORMAT,
+          holdingPolicy: { ...DEFAULT_HOLDING_POLICY, ...(holdingPolicy || {}) },
+          holdingViolations: {},
+          registrations: {},
+          scores: {},
+          scheduled: !!scheduleId,
+          scheduleId,
+          createdAt: clock.now()
+      };
+
+      if (tournament.holdingPolicy.spotChecks) tournament.nextSpotCheckAt = nextSpotCheckAt(tournament.holdingPolicy);
+
+      activeTournaments.set(id, tournament);
+      await saveTournament(tournament);
+      logger.info('Tournament started', {
+          tournamentId: id, name: tournament.name, durationHours: hours, prizePool: pool, scoring: tournament.scoringFormat.type, scheduleId
+      });
+      return tournament;
+  }
+
+  // Tournament IDs currently being finalized
+  const finalizingTournaments = new Set();
+
+  // Calculates results, writes history, awards prizes and removes the tournament from the active set.
+  // `endedBy` is the admin actor ('admin:<name>') or 'scheduler'. The history entry doubles as the idempotency key:
+  // if it already exists, another run finalized this tournament and prizes are not awarded twice.
+  async function finalizeTournament(tournament, endedBy) {
+      if (finalizingTournaments.has(tournament.id)) throw new Error('Tournament is already being finalized');
+      finalizingTournaments.add(tournament.id);
+
+      try {
+          if (holdingPolicyFor(tournament).verifyAtFinalization) {
+              await verifyHoldingsForFinalization(tournament);
+          }
+          // The ban route disqualifies right away; this catches wallets banned by another instance
+          const records = await loadPlayerRecords(Object.keys(tournament.scores));
+          for (const [wallet, record] of records) {
+              if (record?.banned) await disqualifyPlayer(tournament, wallet, `Banned: ${record.banned.reason}`, 'system:finalize');
+          }
+
+          // Calculate final rankings
+          const results = calculateTournamentResults(tournament);
+
+          const historyEntry = {
+              ...tournament,
+              active: false,
+              endedAt: clock.now(),
+              endedBy,
+              results
+          };
+          const firstFinalize = await storage.compareAndSet(`tournaments/history/${tournament.id}`, null, historyEntry);
+
+          if (firstFinalize) {
+              // Award prizes to player records (pending rewards)
+              for (const winner of results.winners) {
+                  if (winner.prize > 0) {
+                      const playerRecord = await getOrCreatePlayerRecord(winner.wallet);
+                      const before = rewardBalances(playerRecord);
+                      playerRecord.totalEarned += winner.prize;
+                      playerRecord.pendingRewards += winner.prize;
+                      playerRecord.earnHistory.push({
+                          sessionId: `tournament_${tournament.id}`,
+                          points: winner.score,
+                          chumEarned: winner.prize,
+                          timestamp: clock.now(),
+                          claimed: false,
+                          tournamentPrize: true,
+                          tournamentName: tournament.name,
+                          rank: winner.rank
+                      });
+                      await savePlayerRecord(winner.wallet, playerRecord);
+                      await appendAudit({
+                          type: 'rewards.tournament_prize',
+                          actor: endedBy === 'scheduler' ? 'system:scheduler' : endedBy,
+                          wallet: winner.wallet,
+                          before,
+                          after: rewardBalances(playerRecord),
+                          details: { tournamentId: tournament.id, rank: winner.rank, prize: winner.prize }
+                      });
+                  }
+              }
+              logger.info('Tournament ended', { tournamentId: tournament.id, name: tournament.name, endedBy, winners: results.winners.length });
+          } else {
+              logger.warn('Tournament was already finalized; not awarding prizes again', { tournamentId: tournament.id });
+          }
+
+          activeTournaments.delete(tournament.id);
+          await storageSave(`tournaments/active/${tournament.id}`, null);
+          publishTournamentEnded(tournament, results, endedBy);
+          return results;
+      } finally {
+          finalizingTournaments.delete(tournament.id);
+      }
+  }
+
+  // ===== PRIZE PAYOUTS =====
+  // Admin-triggered job that sends a finalized tournament's prizes straight from the vault.
+  // Persisted under payouts/{tournamentId}; winners[wallet].status:
+  //   pending -> sent -> confirmed, or failed (retried on the next run), or skipped (nothing left to pay),
+  //   or review (landed but didn't match what we built — never resent automatically).
+  // Every send is recorded as a claim (with payoutId) before it is broadcast, so a restart never
+  // resends a transaction that might still land, and settlement goes through settleClaims like a manual claim.
+
+  const runningPayouts = new Set();
+
+  async function loadPayoutJob(tournamentId) {
+      return storageLoad(`payouts/${tournamentId}`);
+  }
+
+  async function savePayoutJob(job) {
+      job.updatedAt = clock.now();
+      await storageSave(`payouts/${job.tournamentId}`, job);
+  }
+
+  function createPayoutJob(historyEntry, batchSize) {
+      const winners = {};
+      for (const winner of historyEntry.results?.winners || []) {
+          if (winner.prize > 0) {
+              winners[winner.wallet] = { wallet: winner.wallet, rank: winner.rank, prize: winner.prize, status: 'pending', attempts: 0 };
+          }
+      }
+      return {
+          tournamentId: historyEntry.id,
+          tournamentName: historyEntry.name,
+          batchSize,
+          winners,
+          createdAt: clock.now()
+      };
+  }
+
+  function summarizePayoutJob(job) {
+      const counts = { pending: 0, sent: 0, confirmed: 0, failed: 0, skipped: 0, review: 0 };
+      let paid = 0;
+      for (const entry of Object.values(job.winners)) {
+          counts[entry.status]++;
+          if (entry.status === 'confirmed') paid += entry.amount;
+      }
+      const done = counts.pending + counts.sent + counts.failed + counts.review === 0;
+      return {
+          tournamentId: job.tournamentId,
+          tournamentName: job.tournamentName,
+          status: runningPayouts.has(job.tournamentId) ? 'running' : done ? 'completed' : 'incomplete',
+          counts,
+          totalPaid: paid,
+          lastError: job.lastError || null,
+          createdAt: job.createdAt,
+          updatedAt: job.updatedAt || null
+      };
+  }
+
+  // Settles or releases the winners of one sent batch, based on what happened on-chain.
+  // Leaves them as 'sent' while the transaction could still land.
+  async function reconcilePayoutBatch(job, signature) {
+      const entries = Object.values(job.winners).filter(e => e.status === 'sent' && e.signature === signature);
+      if (entries.length === 0) return;
+      const claims = [];
+      for (const entry of entries) claims.push(await loadClaimRecord(entry.claimId));
+
+      // Block height before status: a transaction that lands between the two calls is still seen as landed
+      const blockHeight = await connection.getBlockHeight('confirmed');
+      const status = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+      let failure = null;
+
+      if (status?.value && !status.value.err) {
+          const verification = await verifyClaimOnChain(signature, claims);
+          if (verification.pending) return;
+          if (!verification.confirmed) {
+              // Tokens may have moved, so resending could pay twice — leave it for an admin
+              for (const entry of entries) {
+                  entry.status = 'review';
+                  entry.error = verification.reason;
+              }
+              logger.error('Payout batch needs review', { tournamentId: job.tournamentId, signature, reason: verification.reason });
+              return;
+          }
+          await settleClaims(claims, signature, { payoutId: job.tournamentId, claimIds: claims.map(c => c.claimId) }, 'system:payout');
+          for (const entry of entries) {
+              entry.status = 'confirmed';
+              entry.confirmedAt = clock.now();
+              entry.error = null;
+          }
+          logger.info('Payout batch confirmed', { tournamentId: job.tournamentId, signature, winners: entries.length });
+          return;
+      } else if (status?.value?.err) {
+          failure = 'Transaction failed on-chain';
+      } else {
+          if (blockHeight <= claims[0].lastValidBlockHeight) return; // still in flight
+          failure = 'Transaction expired before it landed';
+      }
+
+      await releasePayoutBatch(entries, claims, failure);
+  }
+
+  // True only when the RPC refused the transaction in preflight simulation, so it was never broadcast.
+  // A timeout or transport error can come after the node already forwarded it, and a retried send of a
+  // transaction that did go out is refused as already processed.
+  function isPreflightRejection(error) {
+      if (!(error instanceof SendTransactionError)) return false;
+      // transactionLogs since web3.js 1.95; older releases in our range set `logs` directly
+      const logs = 'transactionLogs' in error ? error.transactionLogs : error.logs;
+      return Array.isArray(logs) && !/already been processed|AlreadyProcessed/i.test(error.message || '');
+  }
+
+  // Marks a batch that can no longer land as failed so the next run builds a fresh transaction
+  async function releasePayoutBatch(entries, claims, reason) {
+      for (const claim of claims) {
+          claim.status = 'expired';
+          await saveClaimRecord(claim);
+          const playerRecord = await loadPlayerRecord(claim.wallet);
+          if (playerRecord && playerRecord.activeClaimId === claim.claimId) {
+              playerRecord.activeClaimId = null;
+              await savePlayerRecord(claim.wallet, playerRecord);
+          }
+      }
+      for (const entry of entries) {
+          entry.status = 'failed';
+          entry.error = reason;
+          await appendAudit({
+              type: 'payout.failed',
+              actor: 'system:payout',
+              wallet: entry.wallet,
+              details: { claimId: entry.claimId, signature: entry.signature, reason }
+          });
+      }
+      logger.warn('Payout batch failed', { claimIds: entries.map(entry => entry.claimId), reason });
+  }
+
+  // Builds, signs and sends one multi-transfer transaction. Returns the signature, or null if
+  // nothing in the batch needed paying.
+  async function sendPayoutBatch(job, entries, vaultAccount) {
+      // Claim steps for these wallets wait until the batch is recorded and sent
+      const lockedWallets = [];
+      try {
+          const mint = new PublicKey(CHUM_MINT);
+          const batch = [];
+
+          for (const entry of entries) {
+              // The player may be mid-way through a manual claim — leave them for the next run
+              if (claimingWallets.has(entry.wallet)) {
+                  entry.error = 'Waiting for the player\'s own claim to settle';
+                  continue;
+              }
+              claimingWallets.add(entry.wallet);
+              lockedWallets.push(entry.wallet);
+
+              const playerRecord = await getOrCreatePlayerRecord(entry.wallet);
+              // Stays pending: unbanning the wallet and running the payout again pays it
+              if (playerRecord.banned) {
+                  entry.error = 'Wallet banned';
+                  continue;
+              }
+              if (await findUnsettledClaim(playerRecord)) {
+                  entry.error = 'Waiting for the player\'s own claim to settle';
+                  continue;
+              }
+              // Never pay more than is still owed (the player may have claimed part of it already)
+              const amount = Math.min(entry.prize, playerRecord.pendingRewards);
+              if (amount <= 0) {
+                  entry.status = 'skipped';
+                  entry.error = 'No pending rewards left — already claimed';
+                  continue;
+              }
+              // A built claim is superseded now; one co-signed since the check above means waiting
+              if (!await supersedeActiveClaim(playerRecord)) {
+                  entry.error = 'Waiting for the player\'s own claim to settle';
+                  continue;
+              }
+              const owner = new PublicKey(entry.wallet);
+              const destination = await getAssociatedTokenAddress(mint, owner, false, vaultAccount.programId);
+              const rawAmount = BigInt(Math.floor(amount * Math.pow(10, vaultAccount.decimals)));
+              batch.push({ entry, playerRecord, amount, rawAmount, owner, destination });
+          }
+          if (batch.length === 0) return null;
+
+          const total = batch.reduce((sum, b) => sum + b.rawAmount, 0n);
+          if (vaultAccount.rawBalance < total) {
+              throw new Error(`Vault only has ${vaultAccount.balance.toFixed(4)} $CHUM, batch needs ${(Number(total) / Math.pow(10, vaultAccount.decimals)).toFixed(4)}`);
+          }
+
+          // Create only the ATAs that don't exist yet; the authority pays rent and fees
+          const existing = await connection.getMultipleAccountsInfo(batch.map(b => b.destination));
+          const transaction = new Transaction();
+          batch.forEach((b, i) => {
+              b.createsAta = !existing[i];
+              if (b.createsAta) {
+                  transaction.add(createAssociatedTokenAccountIdempotentInstruction(
+                      authority.publicKey, b.destination, b.owner, mint, vaultAccount.programId
+                  ));
+              }
+              transaction.add(createTransferInstruction(
+                  vaultAccount.address, b.destination, authority.publicKey, b.rawAmount, [], vaultAccount.programId
+              ));
+          });
+
+          const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+          transaction.recentBlockhash = blockhash;
+          transaction.lastValidBlockHeight = lastValidBlockHeight;
+          transaction.feePayer = authority.publicKey;
+          transaction.sign(authority);
+          const signature = bs58.encode(transaction.signature);
+
+          // Record everything before broadcasting — if we crash after sending, the next run reconciles it
+          const now = clock.now();
+          const claims = [];
+          for (const b of batch) {
+              const claim = {
+                  claimId: `payout_${job.tournamentId}_${b.entry.wallet}_${b.entry.attempts + 1}`,
+                  payoutId: job.tournamentId,
+                  wallet: b.entry.wallet,
+                  amount: b.amount,
+                  rawAmount: b.rawAmount.toString(),
+                  source: vaultAccount.address.toString(),
+                  destination: b.destination.toString(),
+                  tokenProgram: vaultAccount.programId.toString(),
+                  feePayer: authority.publicKey.toString(),
+                  createsAta: b.createsAta,
+                  blockhash,
+                  lastValidBlockHeight,
+                  status: 'cosigned',
+                  expectedSignature: signature,
+                  createdAt: now,
+                  expiresAt: now + CLAIM_TTL_MS
+              };
+              await saveClaimRecord(claim);
+              b.playerRecord.activeClaimId = claim.claimId;
+              await savePlayerRecord(b.entry.wallet, b.playerRecord);
+              claims.push(claim);
+
+              Object.assign(b.entry, { status: 'sent', amount: b.amount, claimId: claim.claimId, signature, sentAt: now, error: null });
+              b.entry.attempts++;
+              await appendAudit({
+                  type: 'payout.sent',
+                  actor: 'system:payout',
+                  wallet: b.entry.wallet,
+                  details: { payoutId: job.tournamentId, claimId: claim.claimId, amount: b.amount, signature, attempt: b.entry.attempts }
+              });
+          }
+          await savePayoutJob(job);
+
+          try {
+              await connection.sendRawTransaction(transaction.serialize(), { preflightCommitment: 'confirmed' });
+              logger.info('Payout batch sent', { tournamentId: job.tournamentId, signature, winners: batch.length });
+          } catch (error) {
+              if (isPreflightRejection(error)) {
+                  await releasePayoutBatch(batch.map(b => b.entry), claims, error.message);
+                  return null;
+              }
+              // It may have gone out anyway: the winners stay 'sent' and reconcilePayoutBatch settles or
+              // releases them from the signature status once the blockhash has expired
+              logger.warn('Payout batch send failed; it may still land', { tournamentId: job.tournamentId, signature, err: error });
+          }
+
+          vaultAccount.rawBalance -= total;
+          try {
+              await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+          } catch (error) {
+              logger.warn('Payout batch confirmation did not finish; reconciling by status', { tournamentId: job.tournamentId, signature, error: error.message });
+          }
+          return signature;
+      } finally {
+          for (const wallet of lockedWallets) claimingWallets.delete(wallet);
+      }
+  }
+
+  // Runs (or resumes) a payout job. Safe to call again at any time: sent batches are reconciled
+  // first, and only pending or failed winners are sent again.
+  async function runPayoutJob(job) {
+      if (runningPayouts.has(job.tournamentId)) throw new Error('Payout is already running');
+      runningPayouts.add(job.tournamentId);
+      job.lastError = null;
+
+      try {
+          const sentSignatures = new Set(Object.values(job.winners).filter(e => e.status === 'sent').map(e => e.signature));
+          for (const signature of sentSignatures) {
+              await reconcilePayoutBatch(job, signature);
+          }
+          await savePayoutJob(job);
+
+          const toSend = Object.values(job.winners).filter(e => e.status === 'pending' || e.status === 'failed');
+          if (toSend.length === 0) return;
+
+          const vaultAccount = await findTokenAccount(authority.publicKey.toString(), CHUM_MINT);
+          if (!vaultAccount) throw new Error('Reward vault has no $CHUM tokens');
+
+          for (let i = 0; i < toSend.length; i += job.batchSize) {
+              const signature = await sendPayoutBatch(job, toSend.slice(i, i + job.batchSize), vaultAccount);
+              if (signature) await reconcilePayoutBatch(job, signature);
+              await savePayoutJob(job);
+          }
+      } catch (error) {
+          job.lastError = error.message;
+          logger.error('Payout run failed', { tournamentId: job.tournamentId, err: error });
+          await savePayoutJob(job);
+      } finally {
+          runningPayouts.delete(job.tournamentId);
+      }
+  }
+
+  // ===== TOURNAMENT SCHEDULER =====
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const SCHEDULE_PERIOD_MS = { daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS };
+
+  function validateTournamentSchedule(schedule) {
+      const period = SCHEDULE_PERIOD_MS[schedule.frequency];
+      if (!period) return 'frequency must be "daily" or "weekly"';
+      if (!Number.isInteger(schedule.startHour) || schedule.startHour < 0 || schedule.startHour > 23) return 'startHour must be 0-23 (UTC)';
+      if (schedule.frequency === 'weekly' && (!Number.isInteger(schedule.startDay) || schedule.startDay < 0 || schedule.startDay > 6)) {
+          return 'startDay must be 0-6 (0 = Sunday, UTC)';
+      }
+      if (!(schedule.durationHours > 0) || schedule.durationHours * HOUR_MS > period) {
+          return `durationHours must be between 0 and ${period / HOUR_MS} so tournaments don't overlap`;
+      }
+      if (!(schedule.prizePool > 0)) return 'prizePool must be positive';
+      return validatePrizeScheme(schedule.prizeScheme || DEFAULT_PRIZE_SCHEME, schedule.prizePool)
+          || validateScoringFormat(schedule.scoringFormat || DEFAULT_SCORING_FORMAT)
+          || validateHoldingPolicy({ ...DEFAULT_HOLDING_POLICY, ...(schedule.holdingPolicy || {}) });
+  }
+
+  // First scheduled start time strictly after `after` (all times UTC)
+  function nextScheduledStart(schedule, after) {
+      const d = new Date(after);
+      let candidate = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), schedule.startHour);
+      if (schedule.frequency === 'weekly') {
+          candidate += ((schedule.startDay - d.getUTCDay() + 7) % 7) * 24 * HOUR_MS;
+      }
+      while (candidate <= after) candidate += SCHEDULE_PERIOD_MS[schedule.frequency];
+      return candidate;
+  }
+
+  let schedulerRunning = false;
+
+  // Runs every SCHEDULER_INTERVAL_MS (and once at startup): finalizes every tournament whose
+  // endTime has passed, then opens the next tournament of each schedule when it is due
+  async function runTournamentScheduler() {
+      if (schedulerRunning) return;
+      schedulerRunning = true;
+      try {
+          const now = clock.now();
+
+          for (const tournament of Array.from(activeTournaments.values())) {
+              if (now > tournament.endTime && !finalizingTournaments.has(tournament.id)) {
+                  try {
+                      await finalizeTournament(tournament, 'scheduler');
+                  } catch (error) {
+                      logger.error('Tournament finalize failed', { tournamentId: tournament.id, err: error });
+                  }
+              }
+          }
+
+          for (const tournament of activeTournaments.values()) {
+              if (holdingPolicyFor(tournament).spotChecks && isTournamentOpen(tournament) &&
+                  tournament.nextSpotCheckAt && now >= tournament.nextSpotCheckAt) {
+                  try {
+                      await runHoldingSpotCheck(tournament);
+                  } catch (error) {
+                      logger.error('Holding spot check failed', { tournamentId: tournament.id, err: error });
+                  }
+              }
+          }
+
+          for (const schedule of tournamentSchedules.values()) {
+              if (!schedule.enabled || now < schedule.nextStartAt) continue;
+              // Each schedule runs one tournament at a time
+              const running = Array.from(activeTournaments.values()).some(t => t.scheduleId === schedule.id);
+              if (running) continue;
+
+              const startTime = schedule.nextStartAt;
+              const endTime = startTime + schedule.durationHours * HOUR_MS;
+
+              // Skip windows that closed entirely while the server was down
+              if (now < endTime) {
+                  // Schedules were approved up front, so an underfunded vault only warns here
+                  const solvency = await getSolvencyReport({ additionalPool: schedule.prizePool });
+                  if (solvency.status === 'unknown' || solvency.shortfall > 0) {
+                      logger.warn('Starting scheduled tournament without vault coverage', {
+                          scheduleId: schedule.id, solvency: solvency.status, shortfall: solvency.shortfall, error: solvency.error
+                      });
+                  }
+                  await startTournament({
+                      name: schedule.name || `BullShark ${schedule.frequency === 'daily' ? 'Daily' : 'Weekly'} Tournament`,
+                      durationHours: schedule.durationHours,
+                      prizePool: schedule.prizePool,
+                      prizeScheme: schedule.prizeScheme,
+                      splitTies: schedule.splitTies,
+                      scoringFormat: schedule.scoringFormat,
+                      holdingPolicy: schedule.holdingPolicy,
+                      startTime,
+                      scheduleId: schedule.id
+                  });
+              } else {
+                  logger.warn('Missed scheduled tournament window', { scheduleId: schedule.id, startTime: new Date(startTime) });
+              }
+
+              schedule.nextStartAt = nextScheduledStart(schedule, Math.max(startTime, now - schedule.durationHours * HOUR_MS));
+              await storageSave(`tournaments/schedules/${schedule.id}`, schedule);
+          }
+      } catch (error) {
+          logger.error('Tournament scheduler failed', { err: error });
+      } finally {
+          schedulerRunning = false;
+      }
+  }
+
+  // Applies one game to a player's tournament entry according to the scoring format
+  function applyTournamentGame(format, entry, points, now) {
+      entry.gamesPlayed += 1;
+      entry.lastGameAt = now;
+      entry.allScores.push({ points, timestamp: now });
+
+      if (points > entry.bestScore) {
+          entry.bestScore = points;
+          entry.bestScoreAt = now;
+      }
+
+      let score;
+      if (format.type === 'cumulative') {
+          entry.totalScore = (entry.totalScore || 0) + points;
+          score = entry.totalScore;
+      } else if (format.type === 'averageTopN') {
+          entry.topScores = [...(entry.topScores || []), points].sort((a, b) => b - a).slice(0, format.n);
+          score = Math.round(entry.topScores.reduce((sum, p) => sum + p, 0) / format.n * 100) / 100;
+      } else {
+          score = entry.bestScore;
+      }
+
+      // Only move the tie-break timestamp when the ranking score actually changes
+      if (score !== entry.score) {
+          entry.score = score;
+          entry.scoreReachedAt = now;
+      }
+
+      // Keep allScores manageable (last 100 games)
+      if (entry.allScores.length > 100) {
+          entry.allScores = entry.allScores.slice(-100);
+      }
+  }
+
+  // Record tournament score (called from record-game for each tournament the session was started for)
+  async function recordTournamentScore(tournament, wallet, points) {
+      if (!isTournamentOpen(tournament)) return false;
+      if (!tournament.registrations[wallet]) return false;
+      if (tournament.disqualified?.[wallet]) return false;
+
+      if (!tournament.scores[wallet]) {
+          tournament.scores[wallet] = {
+              score: 0,
+              scoreReachedAt: null,
+              bestScore: 0,
+              bestScoreAt: null,
+              gamesPlayed: 0,
+              allScores: [],
+              lastGameAt: null
+          };
+      }
+
+      const entry = tournament.scores[wallet];
+      const previousBest = entry.bestScore;
+      applyTournamentGame(tournament.scoringFormat || DEFAULT_SCORING_FORMAT, entry, points, clock.now());
+
+      // Persist (async)
+      saveTournament(tournament);
+      publishLeaderboardUpdate(tournament, { wallet, score: entry.bestScore, personalBest: entry.bestScore > previousBest });
+      return true;
+  }
+
+  // ===== API DOCS =====
+  // Built on first request, once every route is registered
+
+  let openApiDocument = null;
+
+  app.get('/openapi.json', (req, res) => {
+      if (!openApiDocument) openApiDocument = buildOpenApiDocument(app);
+      res.json(openApiDocument);
+  });
+
+  // Swagger UI is served from the installed package, so /docs needs no third-party CDN
+  app.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+  app.get('/docs', (req, res) => {
+      res.type('html').send(renderDocsPage('/openapi.json', '/docs/assets'));
+  });
+
+  // ===== FALLBACK HANDLERS =====
+  // Registered after every route so unknown paths and thrown errors use the same error envelope
+
+  app.use((req, res) => {
+      sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
+  });
+
+  app.use((error, req, res, next) => {
+      if (res.headersSent) return next(error);
+      if (error.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+      if (error.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+      req.log.error('Unhandled route error', { err: error });
+      sendError(res, 500, 'INTERNAL_ERROR', error.message);
+  });
+
+  let started = null;
+
+  // Handles for tests and the server entry point
+  app.locals.p2e = {
+    config,
+    connection,
+    storage,
+    authority,
+    clock,
+    logger,
+    // Loads players and tournaments from storage, then (unless background is false) finalizes anything
+    // that ended while we were down and starts the scheduler, rate-limit cleanup and stream countdowns.
+    // Safe to call more than once; resolves once storage is loaded.
+    start({ background = true } = {}) {
+      if (!started) {
+        started = Promise.all([loadAllPlayers(), loadTournamentState()]).then(() => {
+          if (!background) return;
+          runTournamentScheduler();
+          for (const job of backgroundJobs) timers.push(setInterval(job.run, job.intervalMs).unref());
+        });
+      }
+      return started;
+    },
+    runTournamentScheduler,
+    logStartup(port) {
+      logger.info('BullShark P2E API running', {
+        port,
+        rpc: rpcPool ? RPC_URLS.map(redactRpcUrl) : 'injected connection',
+        chumMint: CHUM_MINT,
+        minHold: MIN_HOLD_REQUIREMENT,
+        pointsPerChum: POINTS_PER_CHUM,
+        // Fund the reward vault by sending $CHUM to this wallet, then check /api/vault-info
+        authority: authority ? authority.publicKey.toBase58() : null,
+        activeTournaments: activeTournaments.size,
+        admins: [...ADMIN_CREDENTIALS.keys()],
+        logLevel: logger.level
+      });
+      if (!authority) logger.warn('No reward authority loaded; claims and payouts are disabled');
+      if (!ADMIN_CREDENTIALS.size) logger.warn('No admin credentials configured; admin routes are locked');
+    },
+    // Stop background timers and end open leaderboard streams
+    close() {
+      for (const timer of timers) clearInterval(timer);
+      timers.length = 0;
+      for (const subscribers of leaderboardStreams.values()) {
+        for (const subscriber of subscribers) subscriber.res.end();
+      }
+      leaderboardStreams.clear();
+    }
+  };
+
+  return app;
+}
+
+module.exports = { createApp, createMemoryStorage, createFileStorage, createFirebaseStorage };
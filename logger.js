@@ -0,0 +1,100 @@
+// Structured logger: one JSON object per line ({ time, level, msg, ...fields }) so logs can be searched
+// by field. child() returns a logger that adds fields (requestId, claimId, tournamentId) to every entry.
+// Secrets and serialized transactions are redacted by field name before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Matched against lower-cased field names, at any depth
+const SECRET_FIELDS = new Set([
+  'authorization', 'cookie', 'set-cookie', 'password', 'secret', 'secretkey', 'privatekey', 'token', 'sessiontoken',
+  'apikey', 'api_key', 'admin_key', 'adminkey', 'authority_keypair', 'session_secret', 'metrics_token', 'x-admin-signature'
+]);
+const TRANSACTION_FIELDS = new Set(['transaction', 'signedtransaction', 'serializedtransaction', 'rawtransaction']);
+const MAX_DEPTH = 6;
+
+function isSecretField(name) {
+  const lower = name.toLowerCase();
+  return SECRET_FIELDS.has(lower) || lower.includes('secret') || lower.includes('password') || lower.includes('keypair');
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+// Copies a value for logging: errors become plain objects, bytes and transactions become their size,
+// secrets become '[REDACTED]'. Cycles and very deep objects are cut off rather than followed.
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return `[${value.length} bytes]`;
+  if (typeof value.toBase58 === 'function') return value.toBase58();
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  const copy = Array.isArray(value)
+    ? value.map(item => redact(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([name, field]) => {
+      if (field === undefined || field === null) return [name, field];
+      if (isSecretField(name)) return [name, '[REDACTED]'];
+      if (TRANSACTION_FIELDS.has(name.toLowerCase())) {
+        return [name, typeof field === 'string' ? `[transaction: ${field.length} chars]` : '[transaction]'];
+      }
+      return [name, redact(field, depth + 1, seen)];
+    }));
+  seen.delete(value);
+  return copy;
+}
+
+function parseLevel(level) {
+  const name = String(level || 'info').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, name) ? name : null;
+}
+
+// options: level (debug, info, warn, error or silent; default info), clock ({ now() } in ms),
+// write(line, level) to send lines elsewhere (default: stdout, stderr for warn and error)
+function createLogger(options = {}) {
+  const clock = options.clock || { now: () => Date.now() };
+  const write = options.write || ((line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+  const level = parseLevel(options.level);
+  const threshold = LEVELS[level || 'info'];
+
+  function build(base) {
+    function log(entryLevel, msg, fields = {}) {
+      if (LEVELS[entryLevel] < threshold) return;
+      const entry = { time: new Date(clock.now()).toISOString(), level: entryLevel, msg };
+      // time, level and msg can't be overwritten by a field of the same name
+      for (const [name, value] of Object.entries(redact({ ...base, ...fields }))) {
+        if (!(name in entry)) entry[name] = value;
+      }
+      let line;
+      try {
+        line = JSON.stringify(entry);
+      } catch (err) {
+        line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: err.message });
+      }
+      write(line, entryLevel);
+    }
+
+    return {
+      level: level || 'info',
+      debug: (msg, fields) => log('debug', msg, fields),
+      info: (msg, fields) => log('info', msg, fields),
+      warn: (msg, fields) => log('warn', msg, fields),
+      error: (msg, fields) => log('error', msg, fields),
+      isLevelEnabled: (name) => LEVELS[name] >= threshold,
+      child: (fields) => build({ ...base, ...fields })
+    };
+  }
+
+  const logger = build(options.base || {});
+  if (options.level && !level) logger.warn('Unknown log level, using info', { requestedLevel: options.level });
+  return logger;
+}
+
+module.exports = { createLogger };
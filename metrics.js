@@ -0,0 +1,127 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the text
+// exposition format (0.0.4). One registry per app, so apps built side by side in tests don't share counts.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values, in the metric's declared label order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] === undefined ? '' : labels[name];
+  return picked;
+}
+
+// options.logger receives collector errors (default: console)
+function createMetricsRegistry(options = {}) {
+  const logger = options.logger || console;
+  const metrics = new Map();
+  const collectors = [];
+
+  function register(type, name, help, labelNames) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function series(metric, labels, create) {
+    const key = seriesKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels: pickLabels(metric.labelNames, labels), ...create() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, amount = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const metric = register('gauge', name, help, labelNames);
+    return {
+      set(labels, value) {
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      // Drops every series, e.g. tournaments that have ended since the last scrape
+      reset() {
+        metric.series.clear();
+      }
+    };
+  }
+
+  // Runs before every scrape, to refresh gauges whose values are read rather than counted
+  function onCollect(collect) {
+    collectors.push(collect);
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const entry = series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${escapeHelp(metric.help)}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const entry of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Runs the collectors (a failing one is logged and leaves its gauges as they were), then renders everything
+  async function render() {
+    await Promise.all(collectors.map(async collect => {
+      try {
+        await collect();
+      } catch (err) {
+        logger.error('Metrics collect failed', { error: err.message });
+      }
+    }));
+    return `${[...metrics.values()].map(renderMetric).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, onCollect, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,933 @@
+// OpenAPI 3 document for the API, served at /openapi.json (and rendered at /docs).
+// Paths, parameters, request bodies, auth and validation errors come from the routes themselves:
+// validate(), walletAuth, rejectBanned, rateLimit() and adminAuth() tag their middleware with `apiDoc`.
+// ROUTE_DOCS adds what a route definition can't say: summary, response shape and route-specific errors.
+const { version } = require('./package.json');
+
+// ===== SCHEMA HELPERS =====
+
+const str = { type: 'string' };
+const num = { type: 'number' };
+const int = { type: 'integer' };
+const bool = { type: 'boolean' };
+const anyObject = { type: 'object', additionalProperties: true };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arr = (items) => ({ type: 'array', items });
+const obj = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const described = (schema, description) => ({ ...schema, description });
+
+const walletString = described({ type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$' }, 'Solana wallet address (base58)');
+const timestampMs = described(int, 'Milliseconds since epoch');
+
+// ===== ERROR CODES =====
+// Every error response is { success: false, error, message, status, ...extra } (see sendError in app.js)
+
+const ERROR_CODES = {
+  // Request validation (validate())
+  INVALID_BODY: [400, 'Request body is not a JSON object'],
+  MISSING_FIELDS: [400, 'A required field is missing; `field` and `location` name it'],
+  INVALID_WALLET: [400, 'A wallet field is not a Solana address; `field` and `location` name it'],
+  INVALID_FIELD: [400, 'A field has the wrong type or is out of range; `field` and `location` name it'],
+  INVALID_JSON: [400, 'Request body is not valid JSON'],
+  PAYLOAD_TOO_LARGE: [413, 'Request body is too large'],
+  // Wallet sessions (walletAuth / rejectBanned)
+  AUTH_REQUIRED: [401, 'No `Authorization: Bearer <token>` header'],
+  INVALID_SESSION: [401, 'Session token expired or invalid'],
+  WALLET_MISMATCH: [403, 'playerWallet is not the signed-in wallet'],
+  WALLET_BANNED: [403, 'The wallet is banned'],
+  INVALID_NONCE: [401, 'Sign-in or profile nonce expired, unknown or for another wallet'],
+  INVALID_SIGNATURE: [401, 'Sign-in or profile signature does not match the wallet'],
+  // Signed admin requests (adminAuth())
+  ADMIN_AUTH_REQUIRED: [401, 'X-Admin-Id, X-Admin-Timestamp, X-Admin-Nonce or X-Admin-Signature missing'],
+  STALE_ADMIN_REQUEST: [401, 'X-Admin-Timestamp is outside the signature window'],
+  INVALID_ADMIN_NONCE: [401, 'X-Admin-Nonce must be 8-128 letters, digits, _ or -'],
+  INVALID_ADMIN_SIGNATURE: [401, 'Unknown admin or bad signature'],
+  ADMIN_REPLAY: [401, 'This signed request was already used'],
+  INSUFFICIENT_SCOPE: [403, 'The admin lacks the scope this route needs'],
+  // Metrics
+  METRICS_AUTH_REQUIRED: [401, 'METRICS_TOKEN is set and the request has no matching bearer token'],
+  // Rate limiting
+  RATE_LIMITED: [429, 'Too many requests; see `retryAfterSeconds` and the Retry-After header'],
+  // Balances, vault and authority
+  BALANCE_UNAVAILABLE: [503, 'No RPC endpoint could read the wallet balance'],
+  INSUFFICIENT_BALANCE: [403, 'The wallet holds less than the minimum $CHUM; includes `balance` and `required`'],
+  AUTHORITY_NOT_CONFIGURED: [503, 'The server has no reward authority keypair'],
+  VAULT_NOT_FUNDED: [503, 'The reward vault has no $CHUM'],
+  VAULT_INSUFFICIENT: [503, 'The reward vault holds less than the claim; includes `vaultBalance`'],
+  VAULT_BALANCE_UNAVAILABLE: [503, 'The vault balance could not be read to check coverage; includes `solvency`'],
+  VAULT_UNDERFUNDED: [409, 'The vault does not cover liabilities plus the new pool; includes `solvency`'],
+  SOLVENCY_CHECK_FAILED: [500, 'The solvency report could not be built'],
+  // Games
+  SESSION_REQUIRED: [400, 'sessionId and sessionToken are required'],
+  SESSION_WALLET_MISMATCH: [409, 'The game session belongs to another wallet'],
+  SESSION_ALREADY_USED: [409, 'A score was already submitted for this game session'],
+  SESSION_EXPIRED: [409, 'The game session expired'],
+  IMPLAUSIBLE_SCORE: [422, 'The score is impossible for the time played; includes `sessionId`'],
+  // Claims
+  NO_PENDING_REWARDS: [409, 'Nothing to claim'],
+  CLAIM_IN_PROGRESS: [409, 'An earlier claim has not settled yet, or another claim step for the wallet is running; includes `claimId` and `signature` when known'],
+  CLAIM_NOT_FOUND: [404, 'Unknown or replaced claim'],
+  CLAIM_EXPIRED: [410, 'The claim was not co-signed in time'],
+  INVALID_CLAIM_TRANSACTION: [400, 'The signed transaction is not the claim that was built'],
+  CLAIM_ALREADY_COSIGNED: [409, 'The claim was already co-signed with a different transaction'],
+  CLAIM_ALREADY_CONFIRMED: [409, 'The claim was already paid out'],
+  CLAIM_PAID_BY_PAYOUT: [409, 'The claim belongs to a server-pushed prize payout'],
+  CLAIM_NOT_COSIGNED: [400, 'The claim was never co-signed'],
+  SIGNATURE_MISMATCH: [400, 'The signature is not the co-signed claim transaction'],
+  SIGNATURE_ALREADY_USED: [409, 'The transaction already settled a claim'],
+  CONFIRM_IN_PROGRESS: [409, 'The signature is already being confirmed'],
+  TX_NOT_CONFIRMED: [409, 'The transaction has not confirmed yet; includes `signature`'],
+  CLAIM_VERIFICATION_FAILED: [400, 'The on-chain transfer does not match the claim; includes `signature`'],
+  // Players
+  PLAYER_NOT_FOUND: [404, 'No record for this wallet'],
+  NOT_BANNED: [404, 'The wallet is not banned'],
+  INVALID_ADJUSTMENT: [400, 'Neither pendingRewards nor totalEarned was given'],
+  // Profiles
+  INVALID_DISPLAY_NAME: [400, 'Display names are 3-20 letters, digits and single separators (space . - _)'],
+  DISPLAY_NAME_NOT_ALLOWED: [422, 'The display name is profane or poses as staff'],
+  DISPLAY_NAME_TAKEN: [409, 'Another wallet uses this display name (ignoring case and separators)'],
+  INVALID_AVATAR: [400, 'avatarUrl is not an https URL, or both avatarUrl and avatarNft were given'],
+  NFT_NOT_OWNED: [403, 'The wallet does not hold the avatarNft'],
+  NFT_CHECK_FAILED: [503, 'NFT ownership could not be read from the RPC'],
+  PROFILE_LOCKED: [403, 'A moderator locked this profile'],
+  PROFILE_NOT_FOUND: [404, 'The wallet has no profile'],
+  INVALID_MODERATION: [400, 'None of clearDisplayName, clearAvatar or locked was given'],
+  // Tournaments
+  NO_ACTIVE_TOURNAMENT: [404, 'No such running tournament'],
+  TOURNAMENT_ID_REQUIRED: [400, 'Several tournaments are running, so tournamentId is required'],
+  TOURNAMENT_ENDED: [409, 'The tournament has ended'],
+  TOURNAMENT_NOT_FOUND: [404, 'No finished tournament with this ID'],
+  NOT_REGISTERED: [400, 'The wallet is not registered for that tournament, or it is not running'],
+  ALREADY_DISQUALIFIED: [409, 'The wallet was already disqualified from that tournament; includes the existing `disqualified` record'],
+  INVALID_PRIZE_SCHEME: [400, 'The prize scheme is invalid or could pay out more than the pool'],
+  INVALID_SCORING_FORMAT: [400, 'The scoring format is invalid'],
+  INVALID_HOLDING_POLICY: [400, 'The holding policy is invalid'],
+  INVALID_SCHEDULE: [400, 'The schedule is invalid'],
+  SCHEDULE_NOT_FOUND: [404, 'No schedule with that ID'],
+  PAYOUT_IN_PROGRESS: [409, 'This payout is already running'],
+  PAYOUT_NOT_FOUND: [404, 'No payout for this tournament'],
+  // Audit log
+  INVALID_RANGE: [400, 'from/to are not timestamps or ISO dates, or the range is too long'],
+  // Anything else
+  NOT_FOUND: [404, 'No such route'],
+  INTERNAL_ERROR: [500, 'Unexpected server error']
+};
+
+// ===== COMPONENT SCHEMAS =====
+
+const SCHEMAS = {
+  Error: obj({
+    success: { type: 'boolean', enum: [false] },
+    error: described(str, 'Machine-readable code'),
+    message: described(str, 'Human-readable explanation'),
+    status: described(int, 'Same as the HTTP status'),
+    field: described(str, 'Validation errors: the offending field'),
+    location: { type: 'string', enum: ['params', 'query', 'body'] }
+  }, { required: ['success', 'error', 'message', 'status'], additionalProperties: true }),
+
+  VaultInfo: obj({
+    funded: bool,
+    vaultBalance: num,
+    authorityWallet: str,
+    authorityAta: str,
+    actualTokenAccount: nullable(str),
+    tokenProgram: nullable(str),
+    mint: str,
+    error: described(str, 'Set instead of the balance fields when the vault could not be read')
+  }),
+
+  ScoringFormat: obj({
+    type: { type: 'string', enum: ['best', 'cumulative', 'averageTopN'] },
+    n: described(int, 'averageTopN only: how many of the best runs are averaged (1-100)')
+  }, { required: ['type'] }),
+
+  PrizeScheme: described(obj({
+    type: { type: 'string', enum: ['fixed', 'percentage', 'formula'] },
+    tiers: arr(obj({ from: int, to: nullable(int), amount: num, percent: num, split: bool, maxPerRank: described(num, 'Split tiers only: cap on each rank\'s share, in the tier\'s unit') })),
+    curve: { type: 'string', enum: ['power', 'exponential'] },
+    paidPlaces: int,
+    exponent: num,
+    decay: num,
+    poolPercent: num
+  }, { required: ['type'] }), 'fixed / percentage use tiers; formula uses curve, paidPlaces, exponent or decay and poolPercent'),
+
+  HoldingPolicy: obj({
+    action: { type: 'string', enum: ['disqualify', 'reduce'] },
+    reducePercent: num,
+    verifyAtFinalization: bool,
+    spotChecks: bool,
+    spotCheckMinMinutes: num,
+    spotCheckMaxMinutes: num,
+    spotCheckSampleSize: int
+  }),
+
+  TieBreak: obj({
+    scoringFormat: ref('ScoringFormat'),
+    order: arr(obj({ field: str, order: { type: 'string', enum: ['asc', 'desc'] }, description: str })),
+    splitTies: bool
+  }),
+
+  Profile: described(obj({
+    displayName: nullable(str),
+    avatarUrl: nullable(str),
+    avatarNft: described(nullable(str), 'Mint of an NFT the wallet held when it set the profile')
+  }), 'Player profile; null when the wallet has none'),
+
+  RankEntry: obj({
+    rank: int,
+    position: int,
+    wallet: described(str, 'Shortened wallet'),
+    fullWallet: str,
+    score: num,
+    scoreReachedAt: nullable(timestampMs),
+    bestScore: num,
+    gamesPlayed: int,
+    lastGameAt: nullable(timestampMs),
+    tiedOnScore: bool,
+    tieBrokenBy: nullable(str),
+    profile: nullable(ref('Profile'))
+  }),
+
+  Winner: obj({
+    rank: int,
+    wallet: str,
+    walletShort: str,
+    score: num,
+    scoreReachedAt: nullable(timestampMs),
+    bestScore: num,
+    gamesPlayed: int,
+    tiedOnScore: bool,
+    tieBrokenBy: nullable(str),
+    prize: num,
+    prizeReduction: obj({ originalPrize: num, percent: num, reason: str }),
+    profile: nullable(ref('Profile'))
+  }),
+
+  TournamentResults: obj({
+    totalPlayers: int,
+    totalDistributed: num,
+    prizePool: num,
+    prizeScheme: ref('PrizeScheme'),
+    scoringFormat: ref('ScoringFormat'),
+    tieBreak: ref('TieBreak'),
+    holdingPolicy: ref('HoldingPolicy'),
+    winners: arr(ref('Winner')),
+    disqualified: arr(obj({ wallet: str, walletShort: str, reason: str }, { additionalProperties: true })),
+    holdingUnverified: arr(str)
+  }),
+
+  TournamentSummary: obj({
+    id: str,
+    name: str,
+    startTime: timestampMs,
+    endTime: timestampMs,
+    timeRemainingMs: int,
+    timeRemainingHuman: str,
+    prizePool: num,
+    scoringFormat: ref('ScoringFormat'),
+    registeredPlayers: int,
+    playersWithScores: int,
+    active: bool
+  }),
+
+  AdminTournamentSummary: obj({
+    id: str,
+    name: str,
+    startTime: { type: 'string', format: 'date-time' },
+    endTime: { type: 'string', format: 'date-time' },
+    timeRemainingMs: int,
+    timeRemainingHuman: str,
+    prizePool: num,
+    scoringFormat: ref('ScoringFormat'),
+    scheduleId: nullable(str),
+    registeredPlayers: int,
+    playersWithScores: int,
+    holdingPolicy: ref('HoldingPolicy'),
+    holdingViolations: anyObject,
+    nextSpotCheckAt: nullable(timestampMs),
+    topScores: arr(ref('RankEntry')),
+    tieBreak: ref('TieBreak')
+  }),
+
+  PlayerTournamentStatus: obj({
+    tournamentId: str,
+    registered: bool,
+    tournamentName: str,
+    timeRemainingMs: int,
+    timeRemainingHuman: str,
+    prizePool: num,
+    scoringFormat: ref('ScoringFormat'),
+    score: num,
+    bestScore: num,
+    gamesPlayed: int,
+    holdingViolation: nullable(anyObject),
+    disqualified: nullable(anyObject)
+  }),
+
+  SolvencyReport: obj({
+    status: { type: 'string', enum: ['ok', 'low', 'insolvent', 'unknown'] },
+    vaultBalance: nullable(num),
+    coverageRatio: nullable(num),
+    shortfall: nullable(num),
+    minCoverage: num,
+    checkedAt: timestampMs,
+    liabilities: obj({
+      pendingRewards: num,
+      playersOwed: int,
+      prizePools: num,
+      additionalPool: num,
+      total: num,
+      tournaments: arr(obj({ id: str, name: str, prizePool: num, endTime: timestampMs }))
+    }),
+    error: str
+  }),
+
+  PayoutSummary: obj({
+    tournamentId: str,
+    tournamentName: str,
+    status: { type: 'string', enum: ['running', 'completed', 'incomplete'] },
+    counts: obj({ pending: int, sent: int, confirmed: int, failed: int, skipped: int, review: int }),
+    totalPaid: num,
+    lastError: nullable(str),
+    createdAt: timestampMs,
+    updatedAt: nullable(timestampMs)
+  }),
+
+  PayoutWinner: obj({
+    wallet: str,
+    rank: int,
+    prize: num,
+    amount: num,
+    status: { type: 'string', enum: ['pending', 'sent', 'confirmed', 'failed', 'skipped', 'review'] },
+    attempts: int,
+    claimId: str,
+    signature: str,
+    sentAt: timestampMs,
+    error: nullable(str)
+  }),
+
+  Schedule: obj({
+    id: str,
+    enabled: bool,
+    frequency: { type: 'string', enum: ['daily', 'weekly'] },
+    startDay: described(int, '0 = Sunday (UTC), weekly only'),
+    startHour: described(int, 'UTC hour'),
+    durationHours: num,
+    prizePool: num,
+    prizeScheme: nullable(ref('PrizeScheme')),
+    splitTies: bool,
+    scoringFormat: ref('ScoringFormat'),
+    holdingPolicy: nullable(ref('HoldingPolicy')),
+    name: nullable(str),
+    updatedAt: timestampMs,
+    nextStartAt: timestampMs,
+    nextStart: { type: 'string', format: 'date-time' }
+  }),
+
+  AuditEntry: obj({
+    id: str,
+    at: timestampMs,
+    type: described(str, 'e.g. claim.built, claim.confirmed, rewards.tournament_prize, admin.player_ban'),
+    actor: described(str, 'admin:<name>, player:<wallet> or system:<component>'),
+    wallet: nullable(str),
+    before: nullable(anyObject),
+    after: nullable(anyObject),
+    details: anyObject
+  }),
+
+  Claim: described(obj({
+    claimId: str,
+    wallet: str,
+    amount: num,
+    rawAmount: str,
+    status: { type: 'string', enum: ['built', 'cosigned', 'confirmed', 'superseded', 'expired'] },
+    expectedSignature: str,
+    signature: str,
+    payoutId: str,
+    createdAt: timestampMs,
+    expiresAt: timestampMs
+  }, { additionalProperties: true }), 'Stored claim record'),
+
+  PlayerRecord: described(obj({
+    wallet: str,
+    balance: num,
+    totalEarned: num,
+    totalClaimed: num,
+    pendingRewards: num,
+    gamesPlayed: int,
+    lastGameAt: nullable(timestampMs),
+    lastClaimAt: nullable(timestampMs),
+    activeClaimId: nullable(str),
+    banned: nullable(obj({ reason: str, bannedAt: timestampMs, by: str })),
+    profile: described(anyObject, 'Profile with the signed message and signature, name key and moderation lock'),
+    adminActions: arr(anyObject),
+    earnHistory: arr(anyObject)
+  }, { additionalProperties: true }), 'Stored player record')
+};
+
+// ===== ROUTES =====
+// Keyed by "METHOD path" as the route is declared (the first path when it has aliases).
+// `response` is the 200 body (or { status, schema }); `errors` are codes the handler itself sends.
+
+const success = { type: 'boolean', enum: [true] };
+
+const ROUTE_DOCS = {
+  'GET /health': {
+    tags: ['Service'],
+    summary: 'Service health, vault and solvency summary',
+    description: '`status` is `degraded` when the vault covers less than SOLVENCY_MIN_COVERAGE of liabilities. A vault balance that could not be read is reported as `solvencyUnknown` instead.',
+    response: obj({
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      solvencyUnknown: described(bool, 'The vault balance could not be read (no authority, RPC error), so solvency was not checked'),
+      timestamp: { type: 'string', format: 'date-time' },
+      chumMint: str,
+      minHold: num,
+      rpcUrl: nullable(str),
+      rpc: nullable(arr(obj({
+        url: str, healthy: bool, benchedUntil: nullable(timestampMs), successes: int, failures: int,
+        consecutiveFailures: int, lastError: nullable(str), lastErrorAt: nullable(timestampMs), lastLatencyMs: nullable(num)
+      }))),
+      playersTracked: int,
+      totalSessions: int,
+      authority: described(str, 'Authority public key, or NOT LOADED'),
+      vault: ref('VaultInfo'),
+      solvency: obj({ status: str, coverageRatio: nullable(num), shortfall: nullable(num), minCoverage: num, error: nullable(str) }),
+      balanceCache: obj({ ttlMs: int, entries: int, hits: int, misses: int, coalesced: int, freshReads: int, lookupsSaved: int, hitRate: num })
+    })
+  },
+  'GET /metrics': {
+    tags: ['Service'],
+    summary: 'Prometheus metrics',
+    description: 'Text exposition format. Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+    response: { contentType: 'text/plain', schema: str },
+    errors: ['METRICS_AUTH_REQUIRED']
+  },
+  'GET /api/vault-info': {
+    tags: ['Service'],
+    summary: 'Where to send $CHUM to fund rewards',
+    response: ref('VaultInfo')
+  },
+  'GET /openapi.json': {
+    tags: ['Service'],
+    summary: 'This OpenAPI document',
+    response: anyObject
+  },
+  'GET /docs': {
+    tags: ['Service'],
+    summary: 'Interactive API documentation',
+    response: { contentType: 'text/html', schema: str }
+  },
+
+  'POST /api/auth/nonce': {
+    tags: ['Wallet sign-in'],
+    summary: 'Get a sign-in message for a wallet to sign',
+    response: obj({ success, nonce: str, message: str, expiresAt: timestampMs })
+  },
+  'POST /api/auth/verify': {
+    tags: ['Wallet sign-in'],
+    summary: 'Exchange the signed message for a session token',
+    description: '`signature` is the bs58 ed25519 signature of `message`. Send the token as `Authorization: Bearer <token>`.',
+    response: obj({ success, token: str, wallet: str, expiresAt: timestampMs }),
+    errors: ['INVALID_NONCE', 'INVALID_SIGNATURE']
+  },
+
+  'GET /api/check-balance/:wallet': {
+    tags: ['Players'],
+    summary: "A wallet's $CHUM balance and eligibility",
+    response: obj({
+      wallet: str, balance: num, required: num, eligible: bool, deficit: num,
+      pendingRewards: num, totalEarned: num, totalClaimed: num, message: str
+    }),
+    errors: ['BALANCE_UNAVAILABLE']
+  },
+  'POST /api/verify-eligibility': {
+    tags: ['Players'],
+    summary: 'Check the minimum hold and create the player record',
+    response: obj({
+      eligible: bool, balance: num, required: num,
+      deficit: described(num, 'Only when not eligible'),
+      pendingRewards: num, totalEarned: num, totalClaimed: num, message: str
+    }),
+    errors: ['BALANCE_UNAVAILABLE']
+  },
+  'GET /api/player/:wallet': {
+    tags: ['Players'],
+    summary: 'Player stats and recent games',
+    response: obj({
+      wallet: str, balance: num, totalEarned: num, totalClaimed: num, pendingRewards: num,
+      gamesPlayed: int, lastGameAt: nullable(timestampMs), lastClaimAt: nullable(timestampMs),
+      recentGames: arr(obj({ sessionId: str, points: num, chumEarned: num, timestamp: timestampMs, claimed: bool, signature: nullable(str) })),
+      profile: nullable(ref('Profile'))
+    }),
+    errors: ['PLAYER_NOT_FOUND']
+  },
+  'GET /api/leaderboard': {
+    tags: ['Players'],
+    summary: 'All-time earnings leaderboard',
+    response: obj({ leaderboard: arr(obj({ rank: int, wallet: str, totalEarned: num, gamesPlayed: int, profile: nullable(ref('Profile')) })), totalPlayers: int })
+  },
+  'POST /api/profile/nonce': {
+    tags: ['Profiles'],
+    summary: 'Get the message to sign for a profile update',
+    description: 'Describes the whole new profile: leave out `displayName` or the avatar to remove it. ' +
+      'Pass `avatarUrl` (https) or `avatarNft` (a mint the wallet holds), not both.',
+    response: obj({ success, nonce: str, message: str, expiresAt: timestampMs }),
+    errors: ['PROFILE_LOCKED', 'INVALID_AVATAR', 'INVALID_DISPLAY_NAME', 'DISPLAY_NAME_NOT_ALLOWED', 'DISPLAY_NAME_TAKEN']
+  },
+  'POST /api/profile': {
+    tags: ['Profiles'],
+    summary: 'Submit the signed message to update the profile',
+    description: '`signature` is the bs58 ed25519 signature of the `message` from `/api/profile/nonce`. NFT ownership is checked here.',
+    response: obj({ success, wallet: str, profile: nullable(ref('Profile')) }),
+    errors: ['INVALID_NONCE', 'INVALID_SIGNATURE', 'PROFILE_LOCKED', 'NFT_NOT_OWNED', 'NFT_CHECK_FAILED', 'DISPLAY_NAME_TAKEN']
+  },
+  'GET /api/profile/:wallet': {
+    tags: ['Profiles'],
+    summary: "A wallet's public profile",
+    response: obj({ wallet: str, profile: ref('Profile') }),
+    errors: ['PROFILE_NOT_FOUND']
+  },
+
+  'POST /api/game/start': {
+    tags: ['Games'],
+    summary: 'Start a game session (required before record-game)',
+    description: 'Binds the run to every open tournament the wallet is registered for, or only to `tournamentId`.',
+    response: obj({ success, sessionId: str, sessionToken: str, tournamentIds: arr(str), startedAt: timestampMs, expiresAt: timestampMs }),
+    errors: ['NOT_REGISTERED']
+  },
+  'POST /api/record-game': {
+    tags: ['Games'],
+    summary: 'Submit the score for a game session',
+    response: obj({
+      success, sessionId: str, points: num, gamesPlayed: int,
+      tournaments: arr(obj({ tournamentId: str, tournamentName: str, scoringFormat: ref('ScoringFormat'), recorded: bool, score: num, bestScore: num, gamesPlayed: int })),
+      tournamentActive: bool, tournamentRegistered: bool, tournamentScoreRecorded: bool,
+      tournamentBestScore: num, tournamentGamesPlayed: int,
+      pendingRewards: num, totalEarned: num, totalClaimed: num, message: str
+    }),
+    errors: ['SESSION_REQUIRED', 'INVALID_SESSION', 'SESSION_WALLET_MISMATCH', 'SESSION_ALREADY_USED', 'SESSION_EXPIRED', 'IMPLAUSIBLE_SCORE']
+  },
+
+  'POST /api/claim-rewards': {
+    tags: ['Claims'],
+    summary: 'Build an unsigned claim transaction for the player to sign',
+    description: 'Claims all pending rewards unless a smaller positive `claimAmount` is given. The player signs first, then calls /api/cosign-claim.',
+    response: obj({ success, claimId: str, claimAmount: num, transaction: described(str, 'Unsigned transaction, base64'), blockhash: str, lastValidBlockHeight: int, message: str }),
+    errors: ['AUTHORITY_NOT_CONFIGURED', 'NO_PENDING_REWARDS', 'INSUFFICIENT_BALANCE', 'CLAIM_IN_PROGRESS', 'VAULT_NOT_FUNDED', 'VAULT_INSUFFICIENT', 'BALANCE_UNAVAILABLE']
+  },
+  'POST /api/cosign-claim': {
+    tags: ['Claims'],
+    summary: 'Authority co-signs the player-signed claim transaction',
+    description: 'The transaction must be exactly the one built by /api/claim-rewards, plus at most one compute unit limit and one compute unit price instruction. Submit the returned transaction, then call /api/confirm-claim.',
+    response: obj({ success, claimId: str, transaction: described(str, 'Fully signed transaction, base64') }),
+    errors: ['AUTHORITY_NOT_CONFIGURED', 'CLAIM_NOT_FOUND', 'CLAIM_EXPIRED', 'CLAIM_IN_PROGRESS', 'WALLET_BANNED', 'INVALID_CLAIM_TRANSACTION', 'CLAIM_ALREADY_CONFIRMED', 'CLAIM_ALREADY_COSIGNED']
+  },
+  'POST /api/confirm-claim': {
+    tags: ['Claims'],
+    summary: 'Settle a claim once its transaction has landed',
+    description: 'The transfer is verified on-chain against the stored claim before balances move.',
+    response: obj({ success, claimId: str, signature: str, claimAmount: num, remainingPending: num, totalClaimed: num, totalEarned: num, explorerUrl: str, message: str }),
+    errors: ['CONFIRM_IN_PROGRESS', 'CLAIM_NOT_FOUND', 'CLAIM_ALREADY_CONFIRMED', 'CLAIM_PAID_BY_PAYOUT', 'CLAIM_NOT_COSIGNED', 'SIGNATURE_MISMATCH', 'SIGNATURE_ALREADY_USED', 'TX_NOT_CONFIRMED', 'CLAIM_VERIFICATION_FAILED']
+  },
+
+  'GET /api/tournaments': {
+    tags: ['Tournaments'],
+    summary: 'All running tournaments, soonest to end first',
+    response: obj({ tournaments: arr(ref('TournamentSummary')) })
+  },
+  'GET /api/tournament/status': {
+    tags: ['Tournaments'],
+    summary: 'Status of one tournament (the main event without an ID)',
+    response: described(ref('TournamentSummary'), '`{ active: false }` when there is no such tournament')
+  },
+  'POST /api/tournament/register': {
+    tags: ['Tournaments'],
+    summary: 'Register the signed-in wallet for a tournament',
+    response: obj({ success, message: str, alreadyRegistered: bool, tournamentId: str, tournamentName: str, endTime: timestampMs, prizePool: num }),
+    errors: ['TOURNAMENT_ID_REQUIRED', 'NO_ACTIVE_TOURNAMENT', 'TOURNAMENT_ENDED', 'INSUFFICIENT_BALANCE', 'BALANCE_UNAVAILABLE']
+  },
+  'GET /api/tournament/leaderboard': {
+    tags: ['Tournaments'],
+    summary: 'Current standings',
+    response: obj({
+      active: bool, tournamentId: str, tournamentName: str, timeRemainingMs: int, timeRemainingHuman: str,
+      prizePool: num, scoringFormat: ref('ScoringFormat'), totalPlayers: int, tieBreak: ref('TieBreak'),
+      leaderboard: arr(ref('RankEntry'))
+    })
+  },
+  'GET /api/tournament/check/:wallet': {
+    tags: ['Tournaments'],
+    summary: "A wallet's registration and standing",
+    description: 'Without a tournament ID, `tournaments` lists the wallet in every running tournament.',
+    response: {
+      allOf: [ref('PlayerTournamentStatus')],
+      properties: { active: bool, tournaments: arr(ref('PlayerTournamentStatus')) }
+    }
+  },
+  'GET /api/tournament/results/:tournamentId': {
+    tags: ['Tournaments'],
+    summary: 'Final results of a finished tournament',
+    response: obj({ id: str, name: str, startTime: timestampMs, endedAt: timestampMs, prizePool: num, totalPlayers: int, results: ref('TournamentResults') }),
+    errors: ['TOURNAMENT_NOT_FOUND']
+  },
+  'GET /api/tournament/history': {
+    tags: ['Tournaments'],
+    summary: 'The 20 most recent finished tournaments',
+    response: obj({
+      tournaments: arr(obj({
+        id: str, name: str, startTime: timestampMs, endedAt: timestampMs, prizePool: num, totalPlayers: int,
+        scoringFormat: ref('ScoringFormat'),
+        topWinners: arr(obj({ rank: int, wallet: str, score: num, bestScore: num, prize: num, profile: nullable(ref('Profile')) }))
+      }))
+    })
+  },
+  'GET /api/tournament/stream': {
+    tags: ['Tournaments'],
+    summary: 'Live leaderboard (Server-Sent Events)',
+    description: 'Events: `snapshot`, `leaderboard` (top-N changed), `rank` and `personal_best` (with `wallet`), ' +
+      '`registrations`, `countdown` (also a keep-alive) and `ended` (final results; the stream then closes).',
+    response: { contentType: 'text/event-stream', schema: str },
+    errors: ['NO_ACTIVE_TOURNAMENT']
+  },
+
+  'POST /admin/tournament/start': {
+    tags: ['Admin: tournaments'],
+    summary: 'Start a tournament',
+    description: '`duration` is in hours. Refused when the vault does not cover liabilities plus the new pool, unless `allowUnderfunded` is true.',
+    response: obj({
+      success,
+      tournament: obj({
+        id: str, name: str, startTime: { type: 'string', format: 'date-time' }, endTime: { type: 'string', format: 'date-time' },
+        durationHours: num, prizePool: num, prizeScheme: ref('PrizeScheme'), splitTies: bool,
+        scoringFormat: ref('ScoringFormat'), holdingPolicy: ref('HoldingPolicy')
+      }),
+      activeTournaments: int,
+      solvency: ref('SolvencyReport')
+    }),
+    errors: ['INVALID_PRIZE_SCHEME', 'INVALID_SCORING_FORMAT', 'INVALID_HOLDING_POLICY', 'VAULT_BALANCE_UNAVAILABLE', 'VAULT_UNDERFUNDED']
+  },
+  'POST /admin/tournament/stop': {
+    tags: ['Admin: tournaments'],
+    summary: 'End a tournament now and award prizes to pending rewards',
+    response: obj({ success, tournamentId: str, message: str, results: ref('TournamentResults') }),
+    errors: ['TOURNAMENT_ID_REQUIRED', 'NO_ACTIVE_TOURNAMENT']
+  },
+  'POST /admin/tournament/payouts': {
+    tags: ['Admin: tournaments'],
+    summary: "Send a finished tournament's prizes from the vault",
+    description: 'Starts the payout job, or resumes / retries it. Poll GET /admin/tournament/payouts/{tournamentId}.',
+    response: { status: 202, schema: obj({ success, payout: ref('PayoutSummary') }) },
+    errors: ['AUTHORITY_NOT_CONFIGURED', 'PAYOUT_IN_PROGRESS', 'TOURNAMENT_NOT_FOUND']
+  },
+  'GET /admin/tournament/payouts/:tournamentId': {
+    tags: ['Admin: tournaments'],
+    summary: 'Payout progress per winner',
+    response: obj({ success, payout: ref('PayoutSummary'), winners: arr(ref('PayoutWinner')) }),
+    errors: ['PAYOUT_NOT_FOUND']
+  },
+  'POST /admin/tournament/preview-payouts': {
+    tags: ['Admin: tournaments'],
+    summary: 'Dry-run prizes for the current standings',
+    response: obj({ success, dryRun: { type: 'boolean', enum: [true] }, tournamentId: str, results: ref('TournamentResults') }),
+    errors: ['NO_ACTIVE_TOURNAMENT', 'INVALID_PRIZE_SCHEME']
+  },
+  'GET /admin/tournament/schedules': {
+    tags: ['Admin: tournaments'],
+    summary: 'Recurring schedules and their next start',
+    response: obj({ schedules: arr(ref('Schedule')) })
+  },
+  'POST /admin/tournament/schedules': {
+    tags: ['Admin: tournaments'],
+    summary: 'Create or replace a recurring schedule',
+    response: obj({ success, schedule: ref('Schedule') }),
+    errors: ['INVALID_SCHEDULE']
+  },
+  'DELETE /admin/tournament/schedules/:scheduleId': {
+    tags: ['Admin: tournaments'],
+    summary: 'Stop a recurring schedule',
+    response: obj({ success, scheduleId: str, enabled: { type: 'boolean', enum: [false] } }),
+    errors: ['SCHEDULE_NOT_FOUND']
+  },
+  'GET /admin/tournament/status': {
+    tags: ['Admin: tournaments'],
+    summary: 'Running tournaments with top scores and holding checks',
+    description: 'With `tournamentId`, returns `tournament`, `topScores` and `tieBreak` for that one; otherwise `tournaments`.',
+    response: obj({
+      active: bool,
+      message: str,
+      tournament: ref('AdminTournamentSummary'),
+      topScores: arr(ref('RankEntry')),
+      tieBreak: ref('TieBreak'),
+      tournaments: arr(ref('AdminTournamentSummary'))
+    })
+  },
+  'GET /admin/tournament/history': {
+    tags: ['Admin: tournaments'],
+    summary: 'The 20 most recent finished tournaments, with full winner wallets',
+    response: obj({
+      tournaments: arr(obj({
+        id: str, name: str, startTime: { type: 'string', format: 'date-time' }, endedAt: nullable({ type: 'string', format: 'date-time' }),
+        prizePool: num, totalPlayers: int, topWinners: arr(ref('Winner'))
+      }))
+    })
+  },
+  'GET /admin/solvency': {
+    tags: ['Admin: tournaments'],
+    summary: 'Vault balance against pending rewards and running prize pools',
+    response: { allOf: [ref('SolvencyReport')], properties: { success } },
+    errors: ['SOLVENCY_CHECK_FAILED']
+  },
+
+  'GET /admin/players/:wallet': {
+    tags: ['Admin: players'],
+    summary: 'Player record, claim in flight and tournament standing',
+    response: obj({ success, player: ref('PlayerRecord'), activeClaim: nullable(ref('Claim')), tournaments: arr(ref('PlayerTournamentStatus')) }),
+    errors: ['PLAYER_NOT_FOUND']
+  },
+  'POST /admin/players/:wallet/adjust': {
+    tags: ['Admin: players'],
+    summary: 'Set pendingRewards and/or totalEarned',
+    response: obj({
+      success, wallet: str,
+      changes: described(anyObject, 'field -> { from, to }'),
+      pendingRewards: num, totalEarned: num
+    }),
+    errors: ['PLAYER_NOT_FOUND', 'INVALID_ADJUSTMENT', 'CLAIM_IN_PROGRESS']
+  },
+  'POST /admin/players/:wallet/ban': {
+    tags: ['Admin: players'],
+    summary: 'Ban a wallet from playing, registering and claiming',
+    description: 'Also disqualifies the wallet from every running tournament it is registered for.',
+    response: obj({ success, wallet: str, banned: obj({ reason: str, bannedAt: timestampMs, by: str }), disqualifiedFrom: described(arr(str), 'IDs of the running tournaments the wallet was disqualified from') })
+  },
+  'POST /admin/players/:wallet/unban': {
+    tags: ['Admin: players'],
+    summary: 'Lift a ban',
+    response: obj({ success, wallet: str, banned: nullable(anyObject) }),
+    errors: ['NOT_BANNED']
+  },
+  'POST /admin/players/:wallet/profile': {
+    tags: ['Admin: players'],
+    summary: "Moderate a player's profile",
+    description: 'Clears the display name (freeing it) and/or the avatar. `locked: true` stops the player changing the profile until `locked: false`.',
+    response: obj({ success, wallet: str, profile: nullable(ref('Profile')), locked: nullable(obj({ reason: str, lockedAt: timestampMs, by: str })) }),
+    errors: ['INVALID_MODERATION', 'PLAYER_NOT_FOUND']
+  },
+  'POST /admin/players/:wallet/disqualify': {
+    tags: ['Admin: players'],
+    summary: 'Remove a wallet from a running tournament',
+    response: obj({ success, wallet: str, tournamentId: str, removedScore: nullable(num) }),
+    errors: ['TOURNAMENT_ID_REQUIRED', 'NO_ACTIVE_TOURNAMENT', { code: 'NOT_REGISTERED', status: 404 }, 'ALREADY_DISQUALIFIED']
+  },
+  'GET /admin/audit': {
+    tags: ['Admin: audit'],
+    summary: 'Query the audit log, newest first',
+    description: '`from` / `to` are ms timestamps or ISO dates (default: the last 7 days). Without `wallet` the range is capped.',
+    response: obj({ success, from: timestampMs, to: timestampMs, wallet: nullable(str), count: int, entries: arr(ref('AuditEntry')) }),
+    errors: ['INVALID_RANGE']
+  }
+};
+
+// ===== GENERATOR =====
+
+// validate() rule -> JSON schema
+function ruleSchema(rule) {
+  const schema = rule.type === 'wallet' ? { ...walletString } : { type: rule.type };
+  if (rule.type === 'object') schema.additionalProperties = true;
+  if (rule.type === 'array') schema.items = {};
+  for (const [from, to] of [['min', 'minimum'], ['max', 'maximum'], ['minLength', 'minLength'], ['maxLength', 'maxLength'], ['maxItems', 'maxItems'], ['enum', 'enum'], ['default', 'default']]) {
+    if (rule[from] !== undefined) schema[to] = rule[from];
+  }
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.patternMessage) schema.description = `Value ${rule.patternMessage}`;
+  return schema;
+}
+
+// Well-known body fields get a schema reference instead of a bare object
+const BODY_FIELD_REFS = { prizeScheme: 'PrizeScheme', scoringFormat: 'ScoringFormat', holdingPolicy: 'HoldingPolicy' };
+
+// Express ':param' -> OpenAPI '{param}'
+function openApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+// Everything the middleware in front of a route says about it
+function collectRouteDoc(middleware) {
+  const doc = { schema: {}, errors: [], security: null, adminScope: null, rateLimit: null };
+  for (const { apiDoc } of middleware) {
+    if (!apiDoc) continue;
+    if (apiDoc.schema) Object.assign(doc.schema, apiDoc.schema);
+    if (apiDoc.errors) doc.errors.push(...apiDoc.errors);
+    if (apiDoc.security) doc.security = apiDoc.security;
+    if (apiDoc.adminScope) doc.adminScope = apiDoc.adminScope;
+    if (apiDoc.rateLimit) doc.rateLimit = apiDoc.rateLimit;
+  }
+  const { schema } = doc;
+  if (schema.body) doc.errors.push('INVALID_BODY', 'INVALID_JSON', 'PAYLOAD_TOO_LARGE');
+  const rules = ['params', 'query', 'body'].flatMap(location => Object.values(schema[location] || {}));
+  if (rules.some(rule => rule.required)) doc.errors.push('MISSING_FIELDS');
+  if (rules.some(rule => rule.type === 'wallet')) doc.errors.push('INVALID_WALLET');
+  if (rules.some(rule => rule.type !== 'wallet')) doc.errors.push('INVALID_FIELD');
+  return doc;
+}
+
+function buildParameters(schema, pathString) {
+  const parameters = [];
+  for (const [name, rule] of Object.entries(schema.params || {})) {
+    // Aliases without the path segment take the same value from the query instead
+    if (!pathString.includes(`:${name}`)) continue;
+    parameters.push({ name, in: 'path', required: true, schema: ruleSchema(rule) });
+  }
+  for (const [name, rule] of Object.entries(schema.query || {})) {
+    if (parameters.some(p => p.name === name)) continue;
+    parameters.push({ name, in: 'query', required: !!rule.required, schema: ruleSchema(rule) });
+  }
+  return parameters;
+}
+
+function buildRequestBody(bodySchema) {
+  const properties = {};
+  const required = [];
+  for (const [name, rule] of Object.entries(bodySchema)) {
+    properties[name] = BODY_FIELD_REFS[name] && rule.type === 'object' ? ref(BODY_FIELD_REFS[name]) : ruleSchema(rule);
+    if (rule.required) required.push(name);
+  }
+  const schema = { type: 'object', properties };
+  if (required.length) schema.required = required;
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+// Error codes grouped by HTTP status, each status one response whose `error` enum lists its codes
+function buildErrorResponses(errors) {
+  const byStatus = new Map();
+  for (const entry of errors) {
+    const code = typeof entry === 'string' ? entry : entry.code;
+    if (!ERROR_CODES[code]) throw new Error(`openapi: unknown error code ${code}`);
+    const status = typeof entry === 'string' ? ERROR_CODES[code][0] : entry.status;
+    if (!byStatus.has(status)) byStatus.set(status, new Set());
+    byStatus.get(status).add(code);
+  }
+  const responses = {};
+  for (const status of [...byStatus.keys()].sort()) {
+    const codes = [...byStatus.get(status)];
+    responses[status] = {
+      description: codes.map(code => `\`${code}\` - ${ERROR_CODES[code][1]}`).join('\n\n'),
+      content: {
+        'application/json': {
+          schema: { allOf: [ref('Error')], properties: { error: { type: 'string', enum: codes }, status: { type: 'integer', enum: [status] } } }
+        }
+      }
+    };
+  }
+  return responses;
+}
+
+function buildOperation(method, pathString, firstPath, middleware, rateLimits) {
+  const key = `${method.toUpperCase()} ${firstPath}`;
+  const docs = ROUTE_DOCS[key] || { summary: key, description: 'Not documented yet', response: anyObject };
+  const route = collectRouteDoc(middleware);
+  const rateLimit = route.rateLimit || rateLimits;
+
+  const operation = {
+    tags: docs.tags || ['Other'],
+    summary: docs.summary,
+    operationId: `${method}${openApiPath(pathString).replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''))}`
+  };
+  const notes = [docs.description];
+  if (route.adminScope) notes.push(`Admin scope: \`${route.adminScope}\`${route.adminScope === 'read-only' ? ' (any admin)' : ''}.`);
+  if (rateLimit) notes.push(`Rate limit group: \`${rateLimit}\`.`);
+  const description = notes.filter(Boolean).join('\n\n');
+  if (description) operation.description = description;
+
+  const parameters = buildParameters(route.schema, pathString);
+  if (parameters.length) operation.parameters = parameters;
+  if (route.schema.body) operation.requestBody = buildRequestBody(route.schema.body);
+
+  if (route.security === 'wallet') operation.security = [{ walletSession: [] }];
+  else if (route.security === 'admin') operation.security = [{ adminId: [], adminTimestamp: [], adminNonce: [], adminSignature: [] }];
+  else operation.security = [];
+
+  // `response` is a bare schema, or { status, contentType, schema } when it isn't a 200 JSON body
+  const response = docs.response.status || docs.response.contentType ? docs.response : { schema: docs.response };
+  const errors = [...route.errors, ...(docs.errors || [])];
+  if (rateLimit && !errors.includes('RATE_LIMITED')) errors.push('RATE_LIMITED');
+  errors.push('INTERNAL_ERROR');
+  operation.responses = {
+    [response.status || 200]: { description: 'Success', content: { [response.contentType || 'application/json']: { schema: response.schema } } },
+    ...buildErrorResponses(errors)
+  };
+  return operation;
+}
+
+// Walks the Express router: every route, with the app-level middleware (e.g. the /admin rate limit) that applies to it
+function buildOpenApiDocument(app) {
+  const paths = {};
+  const mounted = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) {
+      if (layer.handle.apiDoc) mounted.push(layer);
+      continue;
+    }
+    const declared = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+    for (const pathString of declared) {
+      const appLevel = mounted.filter(m => m.regexp.test(pathString));
+      const rateLimits = appLevel.map(m => m.handle.apiDoc.rateLimit).find(Boolean) || null;
+      const middleware = [...appLevel.map(m => m.handle), ...layer.route.stack.map(s => s.handle)];
+      for (const method of Object.keys(layer.route.methods)) {
+        const entry = paths[openApiPath(pathString)] || (paths[openApiPath(pathString)] = {});
+        entry[method] = buildOperation(method, pathString, declared[0], middleware, rateLimits);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'BullShark P2E API',
+      version,
+      description: 'Play-to-earn rewards for BullShark Feeding Frenzy: wallet sign-in, game sessions, ' +
+        '$CHUM claims and tournaments. Every error uses the `Error` envelope; `error` is a stable machine-readable code.'
+    },
+    tags: [
+      { name: 'Service' }, { name: 'Wallet sign-in' }, { name: 'Players' }, { name: 'Profiles' }, { name: 'Games' }, { name: 'Claims' },
+      { name: 'Tournaments' }, { name: 'Admin: tournaments' }, { name: 'Admin: players' }, { name: 'Admin: audit' }
+    ],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        walletSession: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/auth/verify' },
+        adminId: { type: 'apiKey', in: 'header', name: 'X-Admin-Id', description: 'Admin name from ADMIN_CREDENTIALS' },
+        adminTimestamp: { type: 'apiKey', in: 'header', name: 'X-Admin-Timestamp', description: 'Request time, ms since epoch' },
+        adminNonce: { type: 'apiKey', in: 'header', name: 'X-Admin-Nonce', description: 'Single-use, 8-128 letters, digits, _ or -' },
+        adminSignature: {
+          type: 'apiKey', in: 'header', name: 'X-Admin-Signature',
+          description: 'HMAC-SHA256 hex (secret) or bs58 ed25519 (wallet) over METHOD, URL, timestamp, nonce and sha256(body), newline-joined'
+        }
+      }
+    }
+  };
+}
+
+// Swagger UI (assets served from the swagger-ui-dist package at assetsUrl), pointed at the live document
+function renderDocsPage(specUrl, assetsUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>BullShark P2E API</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildOpenApiDocument, renderDocsPage, ERROR_CODES };
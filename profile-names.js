@@ -0,0 +1,64 @@
+// Display-name rules for player profiles: format, a small profanity filter, reserved names and the key
+// that makes names unique. Names that differ only by case or separators ("Big Fish", "big_fish") share a key.
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+// Letters, digits and single separators (space _ . -), starting and ending with a letter or digit
+const NAME_PATTERN = /^[A-Za-z0-9]+([ _.-][A-Za-z0-9]+)*$/;
+
+// Blocked anywhere in the name, separators removed ("f.u.c.k", "xXshitXx")
+const BLOCKED_SUBSTRINGS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'nigger', 'nigga', 'faggot', 'retard', 'whore', 'slut', 'asshole',
+  'pussy', 'bastard', 'wank', 'twat', 'dildo', 'jizz', 'porn', 'hitler', 'molest', 'pedo'
+];
+// Blocked as whole words only, since they turn up inside ordinary words ("class", "cocktail", "grape")
+const BLOCKED_WORDS = ['ass', 'cock', 'dick', 'fag', 'rape', 'nazi', 'cum', 'tits', 'kike', 'spic', 'chink', 'coon', 'kkk', 'sex', 'anal', 'penis', 'vagina'];
+// Names that could pass for staff
+const RESERVED_WORDS = ['admin', 'administrator', 'moderator', 'mod', 'official', 'support', 'staff', 'system', 'bullshark'];
+
+// Look-alike digits players use to dodge the filter
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+function deleet(text) {
+  return text.toLowerCase().replace(/[0134578]/g, digit => LEET[digit]);
+}
+
+// "fuuuck" -> "fuck"
+function collapseRepeats(text) {
+  return text.replace(/(.)\1+/g, '$1');
+}
+
+function nameKey(displayName) {
+  return displayName.toLowerCase().replace(/[ _.-]/g, '');
+}
+
+function containsBlocked(displayName, extraWords) {
+  const words = deleet(displayName).split(/[ _.-]/);
+  const compact = words.join('');
+  const forms = [compact, collapseRepeats(compact)];
+  const wordForms = words.flatMap(word => [word, collapseRepeats(word)]);
+  return BLOCKED_SUBSTRINGS.some(blocked => forms.some(form => form.includes(blocked)))
+    || [...BLOCKED_WORDS, ...extraWords].some(blocked => wordForms.includes(blocked) || compact === blocked);
+}
+
+// Returns { displayName, key } for an acceptable name, otherwise { code, problem }.
+// options.blockedWords adds whole words to the filter (lower case).
+function checkDisplayName(input, options = {}) {
+  const displayName = typeof input === 'string' ? input.trim() : '';
+  if (displayName.length < MIN_LENGTH || displayName.length > MAX_LENGTH) {
+    return { code: 'INVALID_DISPLAY_NAME', problem: `Display names are ${MIN_LENGTH}-${MAX_LENGTH} characters` };
+  }
+  if (!NAME_PATTERN.test(displayName)) {
+    return { code: 'INVALID_DISPLAY_NAME', problem: 'Use letters, digits and single spaces, dots, dashes or underscores between them' };
+  }
+  if (containsBlocked(displayName, options.blockedWords || [])) {
+    return { code: 'DISPLAY_NAME_NOT_ALLOWED', problem: 'This display name is not allowed' };
+  }
+  const words = displayName.toLowerCase().split(/[ _.-]/);
+  if (RESERVED_WORDS.some(reserved => words.includes(reserved) || nameKey(displayName) === reserved)) {
+    return { code: 'DISPLAY_NAME_NOT_ALLOWED', problem: 'Display names cannot pose as staff' };
+  }
+  return { displayName, key: nameKey(displayName) };
+}
+
+module.exports = { checkDisplayName };
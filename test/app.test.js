@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { createApp, createMemoryStorage } = require('../app');
+const { createLogger } = require('../logger');
+const { startTestApp } = require('./helpers');
+
+let ctx;
+before(async () => { ctx = await startTestApp(); });
+after(() => ctx.close());
+
+// Every error response carries the same envelope
+function assertEnvelope(response, status, error) {
+  assert.equal(response.status, status);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.error, error);
+  assert.equal(response.body.status, status);
+  assert.equal(typeof response.body.message, 'string');
+}
+
+test('createApp does no storage I/O until start()', async () => {
+  const storage = createMemoryStorage();
+  const calls = [];
+  for (const method of ['get', 'set', 'list', 'compareAndSet']) {
+    const original = storage[method];
+    storage[method] = (...args) => { calls.push(method); return original(...args); };
+  }
+
+  const app = createApp({ storage, connection: {}, authority: null, logger: createLogger({ write: () => {} }) });
+  assert.deepEqual(calls, []);
+
+  await app.locals.p2e.start({ background: false });
+  assert.ok(calls.length > 0);
+  app.locals.p2e.close();
+});
+
+test('unknown routes, bad JSON and failed validation share the error envelope', async () => {
+  assertEnvelope(await ctx.request('GET', '/api/nope'), 404, 'NOT_FOUND');
+
+  assertEnvelope(await ctx.request('POST', '/api/auth/nonce', { raw: '{"playerWallet":' }), 400, 'INVALID_JSON');
+  assertEnvelope(await ctx.request('POST', '/api/auth/nonce', { body: {} }), 400, 'MISSING_FIELDS');
+
+  const invalid = await ctx.request('POST', '/api/auth/nonce', { body: { playerWallet: 'not-a-wallet' } });
+  assertEnvelope(invalid, 400, 'INVALID_WALLET');
+  assert.equal(invalid.body.field, 'playerWallet');
+});
+
+test('admin routes need a fresh signed request', async () => {
+  assertEnvelope(await ctx.request('GET', '/admin/solvency'), 401, 'ADMIN_AUTH_REQUIRED');
+
+  const signed = await ctx.admin('GET', '/admin/solvency');
+  assert.equal(signed.status, 200);
+
+  ctx.clock.advance(60 * 60 * 1000);
+  const stale = await ctx.request('GET', '/admin/solvency', {
+    headers: {
+      'x-admin-id': 'admin',
+      'x-admin-timestamp': String(ctx.clock.now() - 60 * 60 * 1000),
+      'x-admin-nonce': 'abcdef0123456789',
+      'x-admin-signature': '0'.repeat(64)
+    }
+  });
+  assertEnvelope(stale, 401, 'STALE_ADMIN_REQUEST');
+});
+
+test('responses echo a well-formed X-Request-Id', async () => {
+  const response = await ctx.request('GET', `/api/player/${Keypair.generate().publicKey.toBase58()}`, { headers: { 'x-request-id': 'claim-flow-42' } });
+  assert.equal(response.headers.get('x-request-id'), 'claim-flow-42');
+});
+
+test('/health reports the vault and solvency', async () => {
+  const health = await ctx.request('GET', '/health');
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'ok');
+  assert.equal(health.body.solvencyUnknown, false);
+});
+
+test('/docs serves Swagger UI from this server', async () => {
+  const page = await ctx.request('GET', '/docs');
+  assert.equal(page.status, 200);
+  assert.doesNotMatch(page.text, /https?:\/\//);
+  const script = page.text.match(/<script src="([^"]+)"/)[1];
+
+  const bundle = await ctx.request('GET', script);
+  assert.equal(bundle.status, 200);
+  assert.match(bundle.headers.get('content-type'), /javascript/);
+});
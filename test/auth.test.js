@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const { Keypair } = require('@solana/web3.js');
+const { startTestApp } = require('./helpers');
+
+let ctx;
+before(async () => { ctx = await startTestApp(); });
+after(() => ctx.close());
+
+async function signedNonce(keypair, signer = keypair) {
+  const wallet = keypair.publicKey.toBase58();
+  const { body } = await ctx.request('POST', '/api/auth/nonce', { body: { playerWallet: wallet } });
+  const signature = bs58.encode(nacl.sign.detached(new TextEncoder().encode(body.message), signer.secretKey));
+  return { wallet, nonce: body.nonce, signature };
+}
+
+test('a signed nonce returns a session token that authorizes wallet routes', async () => {
+  const keypair = Keypair.generate();
+  const { wallet, nonce, signature } = await signedNonce(keypair);
+
+  const verified = await ctx.request('POST', '/api/auth/verify', { body: { playerWallet: wallet, nonce, signature } });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.wallet, wallet);
+
+  const game = await ctx.request('POST', '/api/game/start', {
+    body: { playerWallet: wallet },
+    headers: { authorization: `Bearer ${verified.body.token}` }
+  });
+  assert.equal(game.status, 200);
+  assert.deepEqual(game.body.tournamentIds, []);
+});
+
+test('a signature from another key is refused and burns the nonce', async () => {
+  const keypair = Keypair.generate();
+  const { wallet, nonce, signature } = await signedNonce(keypair, Keypair.generate());
+
+  const refused = await ctx.request('POST', '/api/auth/verify', { body: { playerWallet: wallet, nonce, signature } });
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.error, 'INVALID_SIGNATURE');
+
+  const replayed = await ctx.request('POST', '/api/auth/verify', { body: { playerWallet: wallet, nonce, signature } });
+  assert.equal(replayed.body.error, 'INVALID_NONCE');
+});
+
+test('nonces expire on the server clock', async () => {
+  const keypair = Keypair.generate();
+  const { wallet, nonce, signature } = await signedNonce(keypair);
+  ctx.clock.advance(10 * 60 * 1000);
+
+  const expired = await ctx.request('POST', '/api/auth/verify', { body: { playerWallet: wallet, nonce, signature } });
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.error, 'INVALID_NONCE');
+});
+
+test('wallet routes need a session for the same wallet', async () => {
+  const p = await ctx.player();
+  const other = Keypair.generate().publicKey.toBase58();
+
+  const anonymous = await ctx.request('POST', '/api/game/start', { body: { playerWallet: p.wallet } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error, 'AUTH_REQUIRED');
+
+  const mismatch = await ctx.request('POST', '/api/game/start', { body: { playerWallet: other }, headers: p.auth });
+  assert.equal(mismatch.status, 403);
+  assert.equal(mismatch.body.error, 'WALLET_MISMATCH');
+});
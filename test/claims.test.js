@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction } = require('@solana/web3.js');
+const { startTestApp } = require('./helpers');
+
+let ctx;
+before(async () => { ctx = await startTestApp(); });
+after(() => ctx.close());
+
+// A player with `pending` $CHUM of rewards to claim
+async function playerWithRewards(pending) {
+  const p = await ctx.player();
+  await ctx.playGame(p, 1000);
+  const adjusted = await ctx.admin('POST', `/admin/players/${p.wallet}/adjust`, { pendingRewards: pending, reason: 'test rewards' });
+  assert.equal(adjusted.status, 200);
+  return p;
+}
+
+// What the player's wallet does between the API calls: sign the built transaction
+function playerSigns(p, base64) {
+  const tx = Transaction.from(Buffer.from(base64, 'base64'));
+  tx.partialSign(p.keypair);
+  return tx.serialize({ requireAllSignatures: false }).toString('base64');
+}
+
+test('a claim is built, co-signed, sent and confirmed', async () => {
+  const p = await playerWithRewards(25);
+  const vaultBefore = ctx.connection.state.vaultRaw;
+
+  const built = await ctx.request('POST', '/api/claim-rewards', { body: { playerWallet: p.wallet, claimAmount: 10 }, headers: p.auth });
+  assert.equal(built.status, 200, JSON.stringify(built.body));
+  assert.equal(built.body.claimAmount, 10);
+
+  const cosigned = await ctx.request('POST', '/api/cosign-claim', {
+    body: { claimId: built.body.claimId, signedTransaction: playerSigns(p, built.body.transaction) }
+  });
+  assert.equal(cosigned.status, 200, JSON.stringify(cosigned.body));
+
+  const signature = await ctx.connection.sendRawTransaction(Buffer.from(cosigned.body.transaction, 'base64'));
+  const confirmed = await ctx.request('POST', '/api/confirm-claim', {
+    body: { playerWallet: p.wallet, claimId: built.body.claimId, signature },
+    headers: p.auth
+  });
+  assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  assert.equal(confirmed.body.claimAmount, 10);
+  assert.equal(confirmed.body.remainingPending, 15);
+  assert.equal(confirmed.body.totalClaimed, 10);
+  assert.equal(vaultBefore - ctx.connection.state.vaultRaw, 10000000n);
+
+  const replay = await ctx.request('POST', '/api/confirm-claim', {
+    body: { playerWallet: p.wallet, claimId: built.body.claimId, signature },
+    headers: p.auth
+  });
+  assert.equal(replay.status, 409);
+  assert.equal(replay.body.error, 'CLAIM_ALREADY_CONFIRMED');
+});
+
+test('co-signing refuses a transaction the player changed', async () => {
+  const p = await playerWithRewards(5);
+  const built = await ctx.request('POST', '/api/claim-rewards', { body: { playerWallet: p.wallet }, headers: p.auth });
+  assert.equal(built.status, 200, JSON.stringify(built.body));
+
+  const tx = Transaction.from(Buffer.from(built.body.transaction, 'base64'));
+  // Pay the transfer back to the vault instead of the player's token account
+  tx.instructions[tx.instructions.length - 1].keys[1].pubkey = tx.instructions[tx.instructions.length - 1].keys[0].pubkey;
+  tx.partialSign(p.keypair);
+
+  const cosigned = await ctx.request('POST', '/api/cosign-claim', {
+    body: { claimId: built.body.claimId, signedTransaction: tx.serialize({ requireAllSignatures: false }).toString('base64') }
+  });
+  assert.equal(cosigned.status, 400);
+  assert.equal(cosigned.body.success, false);
+});
+
+test('a claim must be confirmed with its own transaction', async () => {
+  const p = await playerWithRewards(5);
+  const built = await ctx.request('POST', '/api/claim-rewards', { body: { playerWallet: p.wallet }, headers: p.auth });
+  await ctx.request('POST', '/api/cosign-claim', {
+    body: { claimId: built.body.claimId, signedTransaction: playerSigns(p, built.body.transaction) }
+  });
+
+  const wrong = await ctx.request('POST', '/api/confirm-claim', {
+    body: { playerWallet: p.wallet, claimId: built.body.claimId, signature: '1'.repeat(88) },
+    headers: p.auth
+  });
+  assert.equal(wrong.status, 400);
+  assert.equal(wrong.body.error, 'SIGNATURE_MISMATCH');
+});
+
+test('claims need pending rewards and the minimum holding', async () => {
+  const p = await ctx.player();
+  await ctx.playGame(p, 1000);
+
+  const nothing = await ctx.request('POST', '/api/claim-rewards', { body: { playerWallet: p.wallet }, headers: p.auth });
+  assert.equal(nothing.status, 409);
+  assert.equal(nothing.body.error, 'NO_PENDING_REWARDS');
+
+  const sold = await playerWithRewards(5);
+  ctx.connection.holdings.set(sold.wallet, 10);
+  const refused = await ctx.request('POST', '/api/claim-rewards', { body: { playerWallet: sold.wallet }, headers: sold.auth });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'INSUFFICIENT_BALANCE');
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let ctx;
+before(async () => { ctx = await startTestApp(); });
+after(() => ctx.close());
+
+test('a practice run updates the player record', async () => {
+  const p = await ctx.player();
+
+  const recorded = await ctx.playGame(p, 5000);
+  assert.equal(recorded.status, 200);
+  assert.equal(recorded.body.points, 5000);
+  assert.equal(recorded.body.gamesPlayed, 1);
+  assert.equal(recorded.body.tournamentScoreRecorded, false);
+
+  const stats = await ctx.request('GET', `/api/player/${p.wallet}`);
+  assert.equal(stats.body.gamesPlayed, 1);
+});
+
+test('scores need a game session, which can only be used once', async () => {
+  const p = await ctx.player();
+
+  const sessionless = await ctx.request('POST', '/api/record-game', { body: { playerWallet: p.wallet, points: 10 }, headers: p.auth });
+  assert.equal(sessionless.status, 400);
+  assert.equal(sessionless.body.error, 'SESSION_REQUIRED');
+
+  const game = await ctx.request('POST', '/api/game/start', { body: { playerWallet: p.wallet }, headers: p.auth });
+  ctx.clock.advance(30000);
+  const submit = () => ctx.request('POST', '/api/record-game', {
+    body: { playerWallet: p.wallet, points: 100, sessionId: game.body.sessionId, sessionToken: game.body.sessionToken },
+    headers: p.auth
+  });
+  assert.equal((await submit()).status, 200);
+
+  const again = await submit();
+  assert.equal(again.status, 409);
+  assert.equal(again.body.success, false);
+});
+
+test('runs that are too short for their score are rejected', async () => {
+  const p = await ctx.player();
+
+  const tooFast = await ctx.playGame(p, 100, { durationMs: 200 });
+  assert.equal(tooFast.status, 422);
+  assert.equal(tooFast.body.error, 'IMPLAUSIBLE_SCORE');
+  assert.ok(tooFast.body.sessionId);
+});
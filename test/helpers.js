@@ -0,0 +1,199 @@
+// Shared harness for the integration tests: builds the app with memory storage, a fake clock and a
+// fake Solana connection, serves it on a random port and exposes request helpers.
+const crypto = require('crypto');
+const { Keypair, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const { createApp, createMemoryStorage } = require('../app');
+const { createLogger } = require('../logger');
+
+const CHUM_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const DECIMALS = 6;
+
+// pump.fun is the only outside service the app calls itself; every mint here is "not a pump.fun coin"
+const realFetch = global.fetch;
+global.fetch = async (url, init) => (String(url).includes('pump.fun') ? new Response(null, { status: 404 }) : realFetch(url, init));
+
+function createFakeClock(start = Date.UTC(2026, 0, 5, 12)) {
+  let now = start;
+  return {
+    now: () => now,
+    advance(ms) { now += ms; }
+  };
+}
+
+// Just enough of web3.js Connection for the claim, payout and balance flows. Sent transactions are
+// "confirmed" at once: their SPL transfers move tokens between the vault and players' token accounts.
+function createFakeConnection(authority) {
+  const vault = Keypair.generate().publicKey;
+  const holdings = new Map();   // wallet -> $CHUM held (what eligibility checks read)
+  const ledger = new Map();     // signature -> parsed transaction
+  const state = { vaultRaw: 1000000n * 10n ** BigInt(DECIMALS), blockHeight: 1000 };
+
+  function tokenAccount(amountRaw) {
+    return {
+      mint: CHUM_MINT,
+      tokenAmount: { amount: amountRaw.toString(), decimals: DECIMALS, uiAmountString: (Number(amountRaw) / 10 ** DECIMALS).toString() }
+    };
+  }
+
+  function record(tx) {
+    const signature = bs58.encode(tx.signature);
+    const accountKeys = tx.compileMessage().accountKeys.map(key => key.toBase58());
+    const pre = [{ accountIndex: accountKeys.indexOf(vault.toBase58()), mint: CHUM_MINT, uiTokenAmount: { amount: state.vaultRaw.toString() } }];
+    const post = [];
+    let sent = 0n;
+    for (const ix of tx.instructions) {
+      // SPL Transfer: [3, u64 amount], accounts source, destination, owner
+      if (ix.programId.toBase58() !== TOKEN_PROGRAM_ID || ix.data[0] !== 3) continue;
+      const amount = ix.data.readBigUInt64LE(1);
+      sent += amount;
+      post.push({ accountIndex: accountKeys.indexOf(ix.keys[1].pubkey.toBase58()), mint: CHUM_MINT, uiTokenAmount: { amount: amount.toString() } });
+    }
+    state.vaultRaw -= sent;
+    post.push({ accountIndex: pre[0].accountIndex, mint: CHUM_MINT, uiTokenAmount: { amount: state.vaultRaw.toString() } });
+    ledger.set(signature, {
+      meta: { err: null, preTokenBalances: pre, postTokenBalances: post },
+      transaction: { message: { recentBlockhash: tx.recentBlockhash, accountKeys } }
+    });
+    return signature;
+  }
+
+  return {
+    vault,
+    holdings,
+    ledger,
+    state,
+    rpcEndpoint: 'http://fake.invalid',
+    async getParsedTokenAccountsByOwner(owner, { programId }) {
+      if (programId.toBase58() !== TOKEN_PROGRAM_ID) return { value: [] };
+      if (owner.equals(authority.publicKey)) {
+        return { value: [{ pubkey: vault, account: { data: { parsed: { info: tokenAccount(state.vaultRaw) } } } }] };
+      }
+      const held = holdings.get(owner.toBase58()) || 0;
+      if (!held) return { value: [] };
+      return { value: [{ pubkey: Keypair.generate().publicKey, account: { data: { parsed: { info: tokenAccount(BigInt(held) * 10n ** BigInt(DECIMALS)) } } } }] };
+    },
+    async getTokenAccountsByOwner() { return { value: [] }; },
+    async getParsedAccountInfo() { return { value: null }; },
+    async getAccountInfo() { return null; },
+    async getMultipleAccountsInfo(keys) { return keys.map(() => null); },
+    async getLatestBlockhash() {
+      return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: state.blockHeight + 150 };
+    },
+    async getBlockHeight() { return state.blockHeight; },
+    async sendRawTransaction(raw) {
+      const tx = Transaction.from(raw);
+      if (!tx.verifySignatures()) throw new Error('Transaction signature verification failure');
+      return record(tx);
+    },
+    async confirmTransaction() { return { value: { err: null } }; },
+    async getSignatureStatus(signature) {
+      return { value: ledger.has(signature) ? { err: null, confirmationStatus: 'confirmed' } : null };
+    },
+    async getParsedTransaction(signature) { return ledger.get(signature) || null; }
+  };
+}
+
+// Starts an app on a random port. Background jobs stay off: tests drive the scheduler themselves.
+async function startTestApp({ config = {} } = {}) {
+  const clock = createFakeClock();
+  const authority = Keypair.generate();
+  const connection = createFakeConnection(authority);
+  const storage = createMemoryStorage();
+  const app = createApp({
+    clock,
+    authority,
+    connection,
+    storage,
+    logger: createLogger({ clock, write: () => {} }),
+    config: {
+      CHUM_MINT,
+      ADMIN_KEY,
+      ADMIN_CREDENTIALS: '',
+      MIN_HOLD_REQUIREMENT: '100',
+      SCORE_MIN_GAME_MS: '1000',
+      RATE_LIMIT_ENABLED: 'false',
+      ...config
+    }
+  });
+  await app.locals.p2e.start({ background: false });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // `raw` sends a body as-is instead of JSON-encoding `body`
+  async function request(method, path, { body, raw = body === undefined ? undefined : JSON.stringify(body), headers = {} } = {}) {
+    const response = await realFetch(baseUrl + path, {
+      method,
+      headers: { ...(raw ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: raw
+    });
+    const text = await response.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { /* not JSON (docs, metrics) */ }
+    return { status: response.status, body: json, text, headers: response.headers };
+  }
+
+  // Signs like an admin client: HMAC of method, path, timestamp, nonce and the body hash
+  function admin(method, path, body) {
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const timestamp = String(clock.now());
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const message = [method, path, timestamp, nonce, crypto.createHash('sha256').update(raw).digest('hex')].join('\n');
+    return request(method, path, {
+      body,
+      headers: {
+        'x-admin-id': 'admin',
+        'x-admin-timestamp': timestamp,
+        'x-admin-nonce': nonce,
+        'x-admin-signature': crypto.createHmac('sha256', ADMIN_KEY).update(message).digest('hex')
+      }
+    });
+  }
+
+  // A funded wallet signed in through /api/auth; `auth` is its Authorization header
+  async function player({ holding = 1000 } = {}) {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+    connection.holdings.set(wallet, holding);
+    const nonce = await request('POST', '/api/auth/nonce', { body: { playerWallet: wallet } });
+    const signature = bs58.encode(nacl.sign.detached(new TextEncoder().encode(nonce.body.message), keypair.secretKey));
+    const verified = await request('POST', '/api/auth/verify', { body: { playerWallet: wallet, nonce: nonce.body.nonce, signature } });
+    return { keypair, wallet, auth: { authorization: `Bearer ${verified.body.token}` } };
+  }
+
+  // Plays one run through /api/game/start + /api/record-game, `durationMs` apart on the fake clock
+  async function playGame(p, points, { durationMs = 60000 } = {}) {
+    const game = await request('POST', '/api/game/start', { body: { playerWallet: p.wallet }, headers: p.auth });
+    clock.advance(durationMs);
+    return request('POST', '/api/record-game', {
+      body: { playerWallet: p.wallet, points, sessionId: game.body.sessionId, sessionToken: game.body.sessionToken },
+      headers: p.auth
+    });
+  }
+
+  async function close() {
+    app.locals.p2e.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  return { app, clock, authority, connection, storage, request, admin, player, playGame, close };
+}
+
+// Polls `check` until it returns something truthy (real time: the payout job runs in the background)
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = { startTestApp, waitFor };
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, waitFor } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRIZE_SCHEME = { type: 'fixed', tiers: [{ from: 1, to: 1, amount: 500 }, { from: 2, to: 2, amount: 300 }] };
+
+let ctx;
+before(async () => { ctx = await startTestApp({ config: { PAYOUT_BATCH_SIZE: '1' } }); });
+after(() => ctx.close());
+
+// Starts a one-hour tournament and has each player register and play one run scoring `scores[i]`
+async function runTournament(name, scores) {
+  const started = await ctx.admin('POST', '/admin/tournament/start', { name, duration: 1, prizePool: 1000, prizeScheme: PRIZE_SCHEME });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+  const tournamentId = started.body.tournament.id;
+
+  const players = [];
+  for (const score of scores) {
+    const p = await ctx.player();
+    const registered = await ctx.request('POST', `/api/tournaments/${tournamentId}/register`, { body: { playerWallet: p.wallet }, headers: p.auth });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const recorded = await ctx.playGame(p, score);
+    assert.equal(recorded.body.tournamentScoreRecorded, true);
+    players.push(p);
+  }
+  return { tournamentId, players };
+}
+
+test('the scheduler finalizes an ended tournament and credits the winners', async () => {
+  const { tournamentId, players } = await runTournament('Scheduled finish', [300, 900, 600]);
+
+  await ctx.app.locals.p2e.runTournamentScheduler();
+  assert.equal((await ctx.request('GET', `/api/tournament/results/${tournamentId}`)).status, 404, 'still running');
+
+  ctx.clock.advance(2 * HOUR_MS);
+  await ctx.app.locals.p2e.runTournamentScheduler();
+
+  const results = await ctx.request('GET', `/api/tournament/results/${tournamentId}`);
+  assert.equal(results.status, 200);
+  assert.deepEqual(results.body.results.winners.map(w => [w.wallet, w.rank, w.prize]), [
+    [players[1].wallet, 1, 500],
+    [players[2].wallet, 2, 300],
+    [players[0].wallet, 3, 0]
+  ]);
+
+  const first = await ctx.request('GET', `/api/player/${players[1].wallet}`);
+  assert.equal(first.body.pendingRewards, 500);
+  const unplaced = await ctx.request('GET', `/api/player/${players[0].wallet}`);
+  assert.equal(unplaced.body.pendingRewards, 0);
+});
+
+test('a disqualified player is left out of the results', async () => {
+  const { tournamentId, players } = await runTournament('Disqualification', [900, 600, 300]);
+
+  const disqualified = await ctx.admin('POST', `/admin/players/${players[0].wallet}/disqualify`, { tournamentId, reason: 'multi-accounting' });
+  assert.equal(disqualified.status, 200, JSON.stringify(disqualified.body));
+  const again = await ctx.admin('POST', `/admin/players/${players[0].wallet}/disqualify`, { tournamentId, reason: 'again' });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'ALREADY_DISQUALIFIED');
+
+  const stopped = await ctx.admin('POST', '/admin/tournament/stop', { tournamentId });
+  assert.equal(stopped.status, 200, JSON.stringify(stopped.body));
+  assert.deepEqual(stopped.body.results.winners.map(w => w.wallet), [players[1].wallet, players[2].wallet]);
+});
+
+test('payouts send each prize from the vault and settle it', async () => {
+  const { tournamentId, players } = await runTournament('Payout', [100, 200]);
+  ctx.clock.advance(2 * HOUR_MS);
+  await ctx.app.locals.p2e.runTournamentScheduler();
+  const vaultBefore = ctx.connection.state.vaultRaw;
+
+  const queued = await ctx.admin('POST', '/admin/tournament/payouts', { tournamentId });
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+
+  const done = await waitFor(async () => {
+    const status = await ctx.admin('GET', `/admin/tournament/payouts/${tournamentId}`);
+    return status.body.payout.status === 'running' ? null : status.body;
+  });
+  assert.equal(done.payout.status, 'completed', JSON.stringify(done));
+  assert.equal(done.payout.totalPaid, 800);
+  assert.deepEqual(done.winners.map(w => [w.wallet, w.status]), [
+    [players[1].wallet, 'confirmed'],
+    [players[0].wallet, 'confirmed']
+  ]);
+  assert.equal(vaultBefore - ctx.connection.state.vaultRaw, 800000000n);
+
+  const winner = await ctx.request('GET', `/api/player/${players[1].wallet}`);
+  assert.equal(winner.body.pendingRewards, 0);
+  assert.equal(winner.body.totalClaimed, 500);
+
+  const rerun = await ctx.admin('POST', '/admin/tournament/payouts', { tournamentId });
+  assert.equal(rerun.status, 202);
+  assert.equal(rerun.body.payout.counts.confirmed, 2);
+});